@@ -0,0 +1,87 @@
+const Benchmark = require('benchmark');
+
+const {makeAsyncXMLParser} = require('../lib');
+
+/**
+ * Size of the chunks the benchmark document is split into, which is
+ * the default high water mark of `fs.createReadStream()`.
+ */
+const chunkSize = 64 * 1024;
+
+/**
+ * Generate a document of about the given size, made of records
+ * with attributes, text, CDATA sections and comments.
+ *
+ * @param {number} size Minimum length of the document.
+ * @return {string[]} Chunks of the document.
+ */
+const makeDocument = size => {
+    const records = [];
+    let length = 0;
+
+    for (let i = 0; length < size; ++i) {
+        const record = `
+    <record id="${i}" type="${i % 3 === 0 ? 'book' : 'article'}">
+        <title>Record number ${i} &amp; its title</title>
+        <author name="Author ${i % 97}"/>
+        <abstract><![CDATA[Some <abstract> text for record ${i}]]></abstract>
+        <!-- record ${i} -->
+    </record>`;
+        records.push(record);
+        length += record.length;
+    }
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<records>${records.join('')}\n</records>\n`;
+    const chunks = [];
+
+    for (let i = 0; i < xml.length; i += chunkSize) {
+        chunks.push(xml.slice(i, i + chunkSize));
+    }
+
+    return chunks;
+};
+
+const chunks = makeDocument(4 * 1024 * 1024);
+const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+const parseNodes = makeAsyncXMLParser();
+const parseBatches = makeAsyncXMLParser({batch: true});
+
+console.log(`Parsing a document of ${(length / 1024 / 1024).toFixed(1)} MiB in chunks of ${chunkSize / 1024} KiB`);
+
+// Number of nodes read by each benchmark, which shows that
+// all the nodes were consumed
+const counts = {};
+
+new Benchmark.Suite()
+    .add('one node per yield', {
+        defer: true,
+        fn: async deferred => {
+            const nodes = parseNodes(chunks);
+            let count = 0;
+            while (!(await nodes.next()).done) {
+                count += 1;
+            }
+            counts['one node per yield'] = count;
+            deferred.resolve();
+        }
+    })
+    .add('batch per chunk', {
+        defer: true,
+        fn: async deferred => {
+            let count = 0;
+            for await (const batch of parseBatches(chunks)) {
+                count += batch.length;
+            }
+            counts['batch per chunk'] = count;
+            deferred.resolve();
+        }
+    })
+    .on('cycle', event => {
+        const {name, hz} = event.target;
+        console.log(`${event.target}, ${(hz * length / 1024 / 1024).toFixed(1)} MiB/s, ${counts[name]} nodes`);
+    })
+    .on('complete', function () {
+        console.log(`Fastest is ${this.filter('fastest').map('name')}`);
+    })
+    .run();
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const main = require('../lib/cli');
+
+main(process.argv.slice(2), process).then(status => {
+    process.exitCode = status;
+}, err => {
+    console.error(err);
+    process.exitCode = 1;
+});
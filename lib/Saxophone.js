@@ -1,10 +1,17 @@
+const XMLParseError = require('./XMLParseError');
+const decodeChunks = require('./decodeChunks');
+const parseAttrs = require('./parseAttrs');
+const parseEntities = require('./parseEntities');
+const {declareNamespaces, resolveName, rootScope} = require('./namespaces');
+
 /**
  * Information about a text node.
  *
  * @typedef TextNode
  * @type {array}
  * @prop {string} 0 - 'text'
- * @prop {string} 1 - The text value.
+ * @prop {string} 1 - The text value (with entities decoded if the
+ * `decodeEntities` option is set).
  */
 
 /**
@@ -50,12 +57,16 @@
 
 /**
  * Information about a processing instruction node
- * (<? ... ?>).
+ * (<?target ... ?>).
  *
  * @typedef ProcessingInstructionNode
  * @type {array}
  * @prop {string} 0 - 'processinginstruction'
- * @prop {string} 1 -  The instruction contents
+ * @prop {string} 1 - The instruction target.
+ * @prop {string} 2 - The instruction data, after the target and whitespace.
+ * @prop {?Object} 3 - The pseudo-attributes of the data, as an
+ * attribute-value mapping, or null if the data is not made of
+ * pseudo-attributes.
  */
 
 /**
@@ -65,6 +76,66 @@
  * @type {ProcessingInstructionNode}
  */
 
+/**
+ * Information about the XML declaration
+ * (<?xml version="1.0" ... ?>).
+ *
+ * @typedef XMLDeclarationNode
+ * @type {array}
+ * @prop {string} 0 - 'xmldecl'
+ * @prop {string} 1 - The XML version.
+ * @prop {string} 2 - The declared encoding, or '' if none was given.
+ * @prop {string} 3 - The standalone declaration ('yes' or 'no'),
+ * or '' if none was given.
+ */
+
+/**
+ * Emitted whenever the XML declaration is encountered.
+ *
+ * @event xmlNodeGenerator#xmldecl
+ * @type {XMLDeclarationNode}
+ */
+
+/**
+ * Information about a document type declaration
+ * (<!DOCTYPE ... >).
+ *
+ * @typedef DoctypeNode
+ * @type {array}
+ * @prop {string} 0 - 'doctype'
+ * @prop {string} 1 - Name of the document's root element.
+ * @prop {string} 2 - The public identifier, or '' if none was given.
+ * @prop {string} 3 - The system identifier, or '' if none was given.
+ * @prop {string} 4 - The internal subset (between `[` and `]`), unparsed,
+ * or '' if there is none.
+ */
+
+/**
+ * Emitted whenever a document type declaration is encountered.
+ *
+ * @event xmlNodeGenerator#doctype
+ * @type {DoctypeNode}
+ */
+
+/**
+ * Information about a problem that was repaired while parsing
+ * in recovery mode.
+ *
+ * @typedef WarningNode
+ * @type {array}
+ * @prop {string} 0 - 'warning'
+ * @prop {string} 1 - Code of the error that would have been thrown
+ * (see XMLParseError).
+ * @prop {string} 2 - Description of the problem.
+ */
+
+/**
+ * Emitted whenever a problem is repaired in recovery mode.
+ *
+ * @event xmlNodeGenerator#warning
+ * @type {WarningNode}
+ */
+
 /**
  * Information about an opened tag
  * (<tag attr="value">).
@@ -73,10 +144,15 @@
  * @type {array}
  * @prop {string} 0 - 'tagopen'
  * @prop {string} 1 -  Name of the tag that was opened.
- * @prop {string} 2 - Attributes passed to the tag, in a string representation (unparsed)
- * (use Saxophone.parseAttributes to get an attribute-value mapping).
+ * @prop {string|Object} 2 - Attributes passed to the tag, in a string representation (unparsed),
+ * or as an attribute-value mapping if the `parseAttributes` option is set.
  * @prop {string} 3 - '' if the tag does not self close or "/" if the tag self-closes
  * (tags of the form `<tag />`). Such tags will not be followed by a closing tag.
+ * @prop {ResolvedName} 4 - Namespace information about the tag name,
+ * only if the `namespaces` option is set.
+ * @prop {Object} 5 - A mapping of attribute names to their namespace
+ * information and value (`{prefix, local, uri, value}`),
+ * only if the `namespaces` option is set.
  */
 
 /**
@@ -94,6 +170,8 @@
  * @type {array}
  * @prop {string} 0 - 'tagclose'
  * @prop {string} 1 -  The tag name
+ * @prop {ResolvedName} 2 - Namespace information about the tag name,
+ * only if the `namespaces` option is set.
  */
 
 /**
@@ -103,6 +181,28 @@
  * @type {TagCloseNode}
  */
 
+/**
+ * Position of a character in an XML stream.
+ *
+ * @typedef Position
+ * @type {Object}
+ * @prop {number} offset - Number of characters before this position
+ * since the start of the stream.
+ * @prop {number} line - Line number, starting at 1.
+ * @prop {number} column - Column number in the line, starting at 1.
+ */
+
+/**
+ * Information about the location of a node or of an error,
+ * attached as the `position` property of nodes and errors
+ * if the `positions` option is set.
+ *
+ * @typedef Location
+ * @type {Object}
+ * @prop {Position} start - Position of the first character of the node.
+ * @prop {Position} end - Position just after the last character of the node.
+ */
+
 /**
  * Nodes that can be found inside an XML stream.
  * @private
@@ -112,11 +212,389 @@ const Node = {
     cdata: 'cdata',
     comment: 'comment',
     markupDeclaration: 'markupDeclaration',
+    doctype: 'doctype',
     processingInstruction: 'processinginstruction',
+    xmlDeclaration: 'xmldecl',
     tagOpen: 'tagopen',
     tagClose: 'tagclose',
+    warning: 'warning',
 };
 
+/**
+ * Number of characters of input to include in error excerpts
+ * before and after the start of the node where the error happened.
+ *
+ * @private
+ */
+const excerptBefore = 20;
+const excerptAfter = 40;
+
+/**
+ * Find the `>` that closes a DOCTYPE declaration, skipping over quoted
+ * literals, as well as comments and processing instructions in the
+ * internal subset, which may all contain `>` and `]`.
+ *
+ * @private
+ * @param {string} input Input data.
+ * @param {number} pos Position just after `<!DOCTYPE`.
+ * @return {number} Position of the closing `>`, or -1 if more data is needed.
+ */
+function findDoctypeClose(input, pos) {
+    let inSubset = false;
+
+    while (pos < input.length) {
+        const char = input[pos];
+
+        if (char === '"' || char === '\'') {
+            const literalClose = input.indexOf(char, pos + 1);
+            if (literalClose === -1) {
+                return -1;
+            }
+            pos = literalClose + 1;
+            continue;
+        }
+
+        if (inSubset) {
+            if (input.startsWith('<!--', pos)) {
+                const commentClose = input.indexOf('-->', pos + 4);
+                if (commentClose === -1) {
+                    return -1;
+                }
+                pos = commentClose + 3;
+                continue;
+            }
+
+            if (input.startsWith('<?', pos)) {
+                const piClose = input.indexOf('?>', pos + 2);
+                if (piClose === -1) {
+                    return -1;
+                }
+                pos = piClose + 2;
+                continue;
+            }
+
+            if (char === ']') {
+                inSubset = false;
+            }
+        } else if (char === '[') {
+            inSubset = true;
+        } else if (char === '>') {
+            return pos;
+        }
+
+        pos += 1;
+    }
+
+    return -1;
+}
+
+/**
+ * Matches the characters of a tag up to its closing `>` or to a quote.
+ *
+ * @private
+ */
+const tagContentsRegex = /[^>"']*/y;
+
+/**
+ * Find the `>` that closes a tag, skipping over quoted attribute
+ * values, which may contain `>`.
+ *
+ * @private
+ * @param {string} input Input data.
+ * @param {number} pos Position just after `<`.
+ * @return {number} Position of the closing `>`, or -1 if more data is needed.
+ */
+function findTagClose(input, pos) {
+    while (pos < input.length) {
+        tagContentsRegex.lastIndex = pos;
+        tagContentsRegex.exec(input);
+        const end = tagContentsRegex.lastIndex;
+
+        if (end === input.length) {
+            return -1;
+        }
+
+        if (input[end] === '>') {
+            return end;
+        }
+
+        // A quote starts an attribute value only after `=`
+        let before = end - 1;
+        while (before > pos && (input[before] === ' ' || input[before] === '\t'
+                || input[before] === '\n' || input[before] === '\r')) {
+            before -= 1;
+        }
+
+        if (input[before] !== '=') {
+            pos = end + 1;
+            continue;
+        }
+
+        const literalClose = input.indexOf(input[end], end + 1);
+        if (literalClose === -1) {
+            return -1;
+        }
+        pos = literalClose + 1;
+    }
+
+    return -1;
+}
+
+/**
+ * Matches the contents of a DOCTYPE declaration: root name, optional
+ * external identifier and optional internal subset.
+ *
+ * @private
+ */
+const doctypeRegex = /^\s+([^\s[>]+)(?:\s+(?:SYSTEM\s+("[^"]*"|'[^']*')|PUBLIC\s+("[^"]*"|'[^']*')(?:\s+("[^"]*"|'[^']*'))?))?\s*(?:\[([\s\S]*)\]\s*)?$/;
+
+/**
+ * Matches the Name production of XML 1.0, which tag and attribute
+ * names must follow in strict mode.
+ *
+ * @private
+ */
+const nameRegex = /^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}][-.0-9:A-Z_a-z\u00B7\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u037D\u037F-\u1FFF\u200C-\u200D\u203F\u2040\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}]*$/u;
+
+/**
+ * Count the attributes of an attribute string without parsing it,
+ * by counting the equal signs outside of quotes.
+ *
+ * @private
+ * @param {string} attrs Attribute string of a tag.
+ * @return {number}
+ */
+function countAttrs(attrs) {
+    let count = 0;
+    let quote = null;
+
+    for (const char of attrs) {
+        if (quote !== null) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '=') {
+            count += 1;
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Ways of handling the whitespace of text nodes, mapped to functions
+ * transforming the text of a node. An empty result drops the node.
+ *
+ * @private
+ */
+const whitespaceModes = {
+    preserve: text => text,
+    trim: text => text.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, ''),
+    collapse: text => text.replace(/[ \t\r\n]+/g, ' ').replace(/^ | $/g, ''),
+    drop: text => /^[ \t\r\n]*$/.test(text) ? '' : text
+};
+
+/**
+ * Entities escaping the characters of CDATA sections that cannot
+ * appear as such in text.
+ *
+ * @private
+ */
+const charEscapes = {'&': '&amp;', '<': '&lt;', '>': '&gt;'};
+
+/**
+ * Matches an `xml:space` attribute in the attribute string of a tag.
+ *
+ * @private
+ */
+const xmlSpaceRegex = /(?:^|[ \t\r\n])xml:space[ \t\r\n]*=[ \t\r\n]*(?:"(preserve|default)"|'(preserve|default)')/;
+
+/**
+ * Pseudo-attributes allowed in the XML declaration, in their required order.
+ *
+ * @private
+ */
+const xmlDeclarationAttrs = ['version', 'encoding', 'standalone'];
+
+/**
+ * Parse the data of the XML declaration into its pseudo-attributes.
+ *
+ * @private
+ * @param {string} data Everything between `<?xml` and `?>`.
+ * @throws {XMLParseError} If the declaration is malformed.
+ * @return {XMLDeclarationNode}
+ */
+function parseXMLDeclaration(data) {
+    let attrs;
+    try {
+        attrs = parseAttrs(data);
+    } catch (err) {
+        throw new XMLParseError('INVALID_XML_DECLARATION', `Invalid XML declaration: ${err.message}`);
+    }
+
+    const names = Object.keys(attrs);
+
+    if (names[0] !== 'version') {
+        throw new XMLParseError('INVALID_XML_DECLARATION', 'The XML declaration must start with the version');
+    }
+
+    let last = 0;
+
+    for (const name of names.slice(1)) {
+        const index = xmlDeclarationAttrs.indexOf(name);
+
+        if (index <= last) {
+            throw new XMLParseError('INVALID_XML_DECLARATION', `Unexpected pseudo-attribute in the XML declaration: ${name}`);
+        }
+
+        last = index;
+    }
+
+    if (attrs.standalone !== undefined && attrs.standalone !== 'yes' && attrs.standalone !== 'no') {
+        throw new XMLParseError('INVALID_XML_DECLARATION', `Invalid standalone declaration: ${attrs.standalone}`);
+    }
+
+    return [
+        Node.xmlDeclaration,
+        attrs.version,
+        attrs.encoding || '',
+        attrs.standalone || ''
+    ];
+}
+
+/**
+ * Split the contents of a processing instruction into its target and data,
+ * parsing the data as pseudo-attributes if possible. The XML declaration,
+ * which uses the reserved `xml` target, is only recognized at the start
+ * of the document.
+ *
+ * @private
+ * @param {string} contents Everything between `<?` and `?>`.
+ * @param {boolean} isAtStart Whether the instruction starts the document.
+ * @throws {XMLParseError} If the instruction is malformed.
+ * @return {ProcessingInstructionNode|XMLDeclarationNode}
+ */
+function parseProcessingInstruction(contents, isAtStart) {
+    const [, target, data] = /^(\S*)\s*([\s\S]*)$/.exec(contents);
+
+    if (target.length === 0) {
+        throw new XMLParseError('INVALID_PROCESSING_INSTRUCTION', 'Missing processing instruction target');
+    }
+
+    if (target.toLowerCase() === 'xml') {
+        if (target !== 'xml' || !isAtStart) {
+            throw new XMLParseError(
+                'MISPLACED_XML_DECLARATION',
+                'The XML declaration is only allowed at the start of the document'
+            );
+        }
+
+        return parseXMLDeclaration(data);
+    }
+
+    let attrs;
+    try {
+        attrs = parseAttrs(data);
+    } catch (err) {
+        attrs = null;
+    }
+
+    return [Node.processingInstruction, target, data, attrs];
+}
+
+/**
+ * Split the contents of a DOCTYPE declaration into its components.
+ *
+ * @private
+ * @param {string} contents Everything between `<!DOCTYPE` and the closing `>`.
+ * @throws {XMLParseError} If the declaration is malformed.
+ * @return {DoctypeNode}
+ */
+function parseDoctype(contents) {
+    const match = doctypeRegex.exec(contents);
+
+    if (match === null) {
+        throw new XMLParseError('INVALID_DOCTYPE', 'Invalid DOCTYPE declaration');
+    }
+
+    const [, name, systemOnly, publicId, systemId, subset] = match;
+    const unquote = literal => literal === undefined ? '' : literal.slice(1, -1);
+
+    return [
+        Node.doctype,
+        name,
+        unquote(publicId),
+        unquote(systemOnly || systemId),
+        subset === undefined ? '' : subset
+    ];
+}
+
+/**
+ * Node yielded when the objects option is set. Every node has a `type`,
+ * the same as the first element of the corresponding tuple, and a
+ * `depth`, the number of elements enclosing it (0 for the root element
+ * and the nodes outside of it). The other properties depend on the type:
+ *
+ * - tagopen: `name`, `attrs` (string or mapping), `selfClosing` (boolean),
+ *   and `resolvedName` and `resolvedAttrs` if the namespaces option is set.
+ * - tagclose: `name`, and `resolvedName` if the namespaces option is set.
+ * - text, cdata, comment: `contents`.
+ * - processinginstruction: `target`, `data` and `attrs` (mapping or null).
+ * - xmldecl: `version`, `encoding` and `standalone`.
+ * - doctype: `name`, `publicId`, `systemId` and `subset`.
+ * - warning: `code` and `message`.
+ *
+ * Like tuples, object nodes have a `position` property if the positions
+ * option is set. Properties may be added in later versions, but existing
+ * ones will not change.
+ *
+ * @typedef ObjectNode
+ * @type {Object}
+ * @prop {string} type - Type of the node.
+ * @prop {number} depth - Number of elements enclosing the node.
+ */
+
+/**
+ * Convert a node tuple into an object node.
+ *
+ * @private
+ * @param {array} node The node tuple.
+ * @param {number} depth Number of elements enclosing the node.
+ * @return {ObjectNode}
+ */
+function toObjectNode(node, depth) {
+    const type = node[0];
+
+    switch (type) {
+    case Node.tagOpen: {
+        const object = {type, name: node[1], attrs: node[2], selfClosing: node[3] === '/', depth};
+        if (node.length > 4) {
+            object.resolvedName = node[4];
+            object.resolvedAttrs = node[5];
+        }
+        return object;
+    }
+    case Node.tagClose: {
+        const object = {type, name: node[1], depth};
+        if (node.length > 2) {
+            object.resolvedName = node[2];
+        }
+        return object;
+    }
+    case Node.processingInstruction:
+        return {type, target: node[1], data: node[2], attrs: node[3], depth};
+    case Node.xmlDeclaration:
+        return {type, version: node[1], encoding: node[2], standalone: node[3], depth};
+    case Node.doctype:
+        return {type, name: node[1], publicId: node[2], systemId: node[3], subset: node[4], depth};
+    case Node.warning:
+        return {type, code: node[1], message: node[2], depth};
+    default:
+        return {type, contents: node[1], depth};
+    }
+}
 
 /**
  *
@@ -125,29 +603,87 @@ const Node = {
  * Type of function returned by makeAsyncXMLParser
  *
  * Asynchronously parses an iterator containing XML and yields tuples
- * corresponding to the different tokens encountered.
+ * corresponding to the different tokens encountered, or arrays of
+ * such tuples if the batch option is set. Takes the source and optional
+ * parse options: `signal`, an AbortSignal aborting this parse, and
+ * `resume`, a Checkpoint to resume from, in which case the source must
+ * start at the offset of the checkpoint. The `return()` method of the
+ * source iterator is called when the parse stops before its end, whether
+ * it is aborted, it fails or its consumer exits.
+ *
+ * The returned async generator has a `checkpoint()` method, which
+ * returns a Checkpoint of the parse after the last yielded node.
  *
  * @generator
  * @yields xmlNodeGenerator#text
  * @yields xmlNodeGenerator#cdata
  * @yields xmlNodeGenerator#comment
  * @yields xmlNodeGenerator#processinginstruction
+ * @yields xmlNodeGenerator#xmldecl
+ * @yields xmlNodeGenerator#doctype
  * @yields xmlNodeGenerator#tagopen
  * @yields xmlNodeGenerator#tagclose
+ * @yields xmlNodeGenerator#warning
  */
 
 /**
- * Specify parser options and return a generator function
- * that parses an iterable that iterates an XML document,
- * generating a series of tuples representing the nodes encountered.
+ * Snapshot of a parse between two yielded nodes, from which a parser
+ * with the same options can resume. It is made of plain data, so that
+ * it can be serialized as JSON.
  *
- * @param {Object} options
- * @param {String[]} options.include - A list of all the types of nodes to be returned. Default is all nodes.
- * @param {boolean} options.alwaysTagClose - If true, and tagclose included, yield tagclose as well as tagopen for self-closing tags.
- * @param {boolean} options.noEmptyText - If true, empty text nodes will not be yielded
- * @return {AsyncXMLParser}
+ * @typedef Checkpoint
+ * @type {Object}
+ * @prop {number} version - Version of the format of the checkpoint.
+ * @prop {number} offset - Length of the source read so far, in bytes
+ * for binary chunks or in characters for string chunks.
+ * @prop {?string} encoding - Encoding of the binary chunks, or null
+ * if none was read.
+ * @prop {string} pending - Text read from the source but not parsed yet.
+ * @prop {array} nodes - Nodes parsed but not yielded yet.
+ * @prop {string[]} tagStack - Names of the open elements.
+ *
+ * The other properties hold the rest of the state of the tokenizer.
  */
-module.exports = function makeAsyncXMLParser(options = {}) {
+
+/**
+ *
+ * @typedef SyncXMLParser
+ *
+ * Type of function returned by makeSyncXMLParser
+ *
+ * Synchronously parses a string, a buffer or an iterator containing XML
+ * and yields the same tuples as an AsyncXMLParser. Takes the same parse
+ * options, the signal being checked between chunks and nodes, and has
+ * the same `checkpoint()` method.
+ *
+ * @generator
+ */
+
+/**
+ * A tokenizer holds the state of the parsing of a single document,
+ * which is fed to it one decoded chunk at a time. It is shared by the
+ * asynchronous and synchronous parsers.
+ *
+ * @private
+ * @typedef Tokenizer
+ * @type {Object}
+ * @prop {function(string): Generator} parseChunk - Parse a chunk of input,
+ * yielding the nodes it completes.
+ * @prop {function(): Generator} parseEnd - Handle the end of the input,
+ * yielding the nodes it completes.
+ * @prop {function(): Object} checkpoint - Save the state of the tokenizer
+ * between two yielded nodes, to be restored by a new tokenizer.
+ */
+
+/**
+ * Specify parser options and return a function creating tokenizers
+ * that parse documents according to these options.
+ *
+ * @private
+ * @param {Object} options Parser options (see makeAsyncXMLParser).
+ * @return {function(): Tokenizer}
+ */
+function makeTokenizerFactory(options) {
     /* eslint-disable indent */  // trying to keep the same indentation as Saxophone for most lines
   let optinclude = options.include || Object.values(Node);
   if (!Array.isArray(optinclude))
@@ -155,30 +691,368 @@ module.exports = function makeAsyncXMLParser(options = {}) {
   optinclude = new Set(optinclude);
   const optAlwaysTagClose = options.alwaysTagClose;
   const optNoEmptyText = options.noEmptyText;
+  const optParseAttributes = options.parseAttributes;
+  const optDecodeEntities = options.decodeEntities;
+  const optEntities = options.entities || {};
+  const optNamespaces = options.namespaces;
+  // Lines are also counted with positions: 'errors', but only errors
+  // are then located
+  const optErrorPositions = Boolean(options.positions);
+  const optPositions = optErrorPositions && options.positions !== 'errors';
+  const optRecover = options.recover;
+  const optStrict = options.strict;
+  const optObjects = options.objects;
+  // Character data is merged into text nodes, so only if they are output
+  const optCoalesce = options.coalesce && optinclude.has(Node.text);
+  const optMaxInputLength = options.maxInputLength;
+  const optMaxPendingLength = options.maxPendingLength;
+  const optMaxTokenLength = options.maxTokenLength;
+  const optMaxDepth = options.maxDepth;
+  const optMaxAttributes = options.maxAttributes;
+  const optWhitespace = options.whitespace || 'preserve';
+  const optWhitespaceOverrides = options.whitespaceOverrides || {};
+
+  for (const mode of [optWhitespace, ...Object.values(optWhitespaceOverrides)]) {
+      if (!Object.prototype.hasOwnProperty.call(whitespaceModes, mode)) {
+          throw new Error(`Unknown whitespace mode: ${mode}`);
+      }
+  }
 
+  // Whether whitespace handling depends on the open elements
+  const trackWhitespace = optWhitespace !== 'preserve' ||
+      Object.keys(optWhitespaceOverrides).length !== 0;
 
   /**
-   * @type AsyncXMLParser
+   * Decode the entities of a string if the decodeEntities option is set.
+   *
+   * @private
+   * @param {string} value Text or attribute value.
+   * @return {string} The possibly decoded value.
    */
-  return async function* parser(sourceIterator) {
+  const decode = value => optDecodeEntities ? parseEntities(value, optEntities) : value;
+
+
+  /**
+   * @param {Object} [saved] State saved by the checkpoint method of
+   * a tokenizer, from which to resume parsing.
+   * @return {Tokenizer}
+   */
+  return function makeTokenizer(saved) {
+
+    const tagStack = [];
+
+    // Namespace scope and resolved name of each opened tag,
+    // if the namespaces option is set
+    const nsStack = [];
+
+    // Whether the root element was opened, if the strict option is set
+    let rootOpened = false;
+
+    // Whether a DOCTYPE declaration was read, if the strict option is set
+    let doctypeRead = false;
+
+    // Whitespace mode of each opened tag, if whitespace handling
+    // depends on the open elements
+    const spaceStack = [];
+
+    // Run of character data being coalesced, if the coalesce option is set
+    let charData = null;
 
     /**
      * Handle the opening of a tag in the text stream.
      *
      * Push the tag into the opened tag stack and return the
-     * corresponding event.
+     * corresponding event. Self-closing tags must then be
+     * closed with handleTagClosing.
      *
+     * @private
      * @param {TagOpen} node Information about the opened tag.
      */
+    function handleTagOpening(node) {
+        let attrs = node.attrs.trim();
+        let nsName, nsAttrs;
 
-    const tagStack = [];
+        if (optMaxDepth !== undefined && tagStack.length >= optMaxDepth) {
+            throw withContext(new XMLParseError(
+                'DEPTH_LIMIT_EXCEEDED',
+                `Nesting depth exceeds the limit of ${optMaxDepth}`
+            ), node.end);
+        }
 
-    function handleTagOpening(node) {
-        if (!node.isSelfClosing) {
-            tagStack.push(node.name);
+        if (optMaxAttributes !== undefined && countAttrs(attrs) > optMaxAttributes) {
+            throw withContext(new XMLParseError(
+                'ATTRIBUTE_LIMIT_EXCEEDED',
+                `Attribute count exceeds the limit of ${optMaxAttributes}: ${node.name}`
+            ), node.end);
+        }
+
+        if (optStrict) {
+            try {
+                checkTagName(node.name);
+            } catch (err) {
+                throw withContext(err, node.end);
+            }
+
+            if (tagStack.length === 0) {
+                if (rootOpened) {
+                    throw withContext(new XMLParseError(
+                        'MULTIPLE_ROOTS',
+                        `Unexpected element after the root element: ${node.name}`
+                    ), node.end);
+                }
+
+                rootOpened = true;
+            }
         }
+
+        if (optParseAttributes || optNamespaces || optStrict) {
+            try {
+                const parsedAttrs = parseAttrs(attrs);
+
+                if (optStrict) {
+                    checkAttrs(parsedAttrs);
+                }
+
+                if (optDecodeEntities) {
+                    for (const name of Object.keys(parsedAttrs)) {
+                        parsedAttrs[name] = decode(parsedAttrs[name]);
+                    }
+                }
+
+                if (optNamespaces) {
+                    const parentScope = nsStack.length === 0
+                        ? rootScope
+                        : nsStack[nsStack.length - 1].scope;
+                    const scope = declareNamespaces(parsedAttrs, parentScope);
+
+                    nsName = resolveName(node.name, scope, false);
+                    nsAttrs = {};
+
+                    for (const name of Object.keys(parsedAttrs)) {
+                        nsAttrs[name] = Object.assign(
+                            resolveName(name, scope, true),
+                            {value: parsedAttrs[name]}
+                        );
+                    }
+
+                    nsStack.push({scope, name: nsName});
+                }
+
+                if (optParseAttributes) {
+                    attrs = parsedAttrs;
+                }
+            } catch (err) {
+                throw withContext(err, node.end);
+            }
+        }
+
+        // Tags end the run of character data, even if they are not output
+        if (charData !== null) {
+            queueCharData();
+        }
+
+        if (trackWhitespace) {
+            spaceStack.push(elementWhitespace(node.name, node.attrs));
+        }
+
+        tagStack.push(node.name);
+
         if (optinclude.has(Node.tagOpen)) {
-            return [Node.tagOpen, node.name, node.attrs.trim(), node.isSelfClosing ? '/' : ''];
+            const tagOpen = [Node.tagOpen, node.name, attrs, node.isSelfClosing ? '/' : ''];
+            if (optNamespaces) {
+                tagOpen.push(nsName, nsAttrs);
+            }
+            return tagOpen;
+        }
+    }
+
+    /**
+     * Handle the closing of a tag in the text stream.
+     *
+     * Pop the tag from the opened tag stack, check that it
+     * matches and return the corresponding event.
+     *
+     * @private
+     * @param {string} tagName Name of the closed tag.
+     * @param {number} end Position in the input just after the tag.
+     */
+    function handleTagClosing(tagName, end) {
+        const stackedTagName = tagStack[tagStack.length - 1];
+
+        if (stackedTagName !== tagName) {
+            const err = withContext(new XMLParseError(
+                'TAG_MISMATCH',
+                `Unclosed tag: ${stackedTagName}`,
+                {expected: stackedTagName, actual: tagName}
+            ), end);
+            tagStack.length = 0;
+            throw err;
+        }
+
+        if (charData !== null) {
+            queueCharData();
+        }
+
+        tagStack.pop();
+
+        if (trackWhitespace) {
+            spaceStack.pop();
+        }
+
+        const nsName = optNamespaces ? nsStack.pop().name : undefined;
+
+        if (optinclude.has(Node.tagClose)) {
+            const tagClose = [Node.tagClose, tagName];
+            if (optNamespaces) {
+                tagClose.push(nsName);
+            }
+            return tagClose;
+        }
+    }
+
+    /**
+     * Determine the whitespace mode of an opened element, from its
+     * `xml:space` attribute, the overrides given in the options or
+     * the mode of its parent, in that order of precedence.
+     *
+     * @private
+     * @param {string} tagName Name of the element.
+     * @param {string} attrs Attribute string of the element.
+     * @return {string} The whitespace mode.
+     */
+    function elementWhitespace(tagName, attrs) {
+        const xmlSpace = xmlSpaceRegex.exec(attrs);
+
+        if (xmlSpace !== null) {
+            return (xmlSpace[1] || xmlSpace[2]) === 'preserve' ? 'preserve' : optWhitespace;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(optWhitespaceOverrides, tagName)) {
+            return optWhitespaceOverrides[tagName];
+        }
+
+        return spaceStack.length === 0 ? optWhitespace : spaceStack[spaceStack.length - 1];
+    }
+
+    /**
+     * Apply the whitespace mode of the current element to a text.
+     *
+     * @private
+     * @param {string} text Contents of the text node.
+     * @return {string} The transformed text, or '' if the node
+     * should be dropped.
+     */
+    function applyWhitespace(text) {
+        if (!trackWhitespace) {
+            return text;
+        }
+
+        const mode = spaceStack.length === 0 ? optWhitespace : spaceStack[spaceStack.length - 1];
+        return whitespaceModes[mode](text);
+    }
+
+    /**
+     * Check that a tag name follows the Name production.
+     *
+     * @private
+     * @param {string} tagName Name of the tag.
+     * @throws {XMLParseError} If the name is not valid.
+     */
+    function checkTagName(tagName) {
+        if (!nameRegex.test(tagName)) {
+            throw new XMLParseError('INVALID_TAG_NAME', `Invalid tag name: ${tagName}`);
+        }
+    }
+
+    /**
+     * Check that the names and values of parsed attributes
+     * are well-formed.
+     *
+     * @private
+     * @param {Object} attrs Attribute-value mapping, entities not decoded.
+     * @throws {XMLParseError} If an attribute is not well-formed.
+     */
+    function checkAttrs(attrs) {
+        for (const name of Object.keys(attrs)) {
+            if (!nameRegex.test(name)) {
+                throw new XMLParseError('INVALID_ATTRIBUTE', `Invalid attribute name: ${name}`);
+            }
+
+            if (attrs[name].indexOf('<') !== -1) {
+                throw new XMLParseError('INVALID_ATTRIBUTE', `Attribute values may not contain <: ${name}`);
+            }
+        }
+    }
+
+    /**
+     * Check that character data is allowed where it appears,
+     * if the strict option is set.
+     *
+     * @private
+     * @param {string} text Contents of the text or CDATA node.
+     * @param {boolean} isText Whether the node is a text node.
+     * @param {number} end Position in the input just after the node.
+     * @throws {XMLParseError} If the data is not allowed.
+     */
+    function checkCharData(text, isText, end) {
+        if (!optStrict) {
+            return;
+        }
+
+        if (isText && text.indexOf(']]>') !== -1) {
+            throw withContext(new XMLParseError(
+                'INVALID_TEXT',
+                'Text may not contain ]]>'
+            ), end);
+        }
+
+        if (tagStack.length === 0 && (!isText || /\S/.test(text))) {
+            throw withContext(new XMLParseError(
+                'TEXT_OUTSIDE_ROOT',
+                'Text is not allowed outside of the root element'
+            ), end);
+        }
+    }
+
+    /**
+     * Create a warning node for a problem repaired in recovery mode.
+     *
+     * @private
+     * @param {string} code Code of the error that would have been thrown.
+     * @param {string} message Description of the problem.
+     * @param {number} end Position in the input just after the token.
+     * @return {WarningNode}
+     */
+    function makeWarning(code, message, end) {
+        const err = withContext(new XMLParseError(code, message), end);
+        return [Node.warning, err.code, err.message];
+    }
+
+    /**
+     * Recover from a closing tag that does not match the last opened tag.
+     *
+     * If the tag was opened before, close all the tags opened since then.
+     * Otherwise, ignore the closing tag.
+     *
+     * @private
+     * @param {string} tagName Name of the closed tag.
+     * @param {number} end Position in the input just after the tag.
+     */
+    function recoverTagMismatch(tagName, end) {
+        const depth = tagStack.lastIndexOf(tagName);
+
+        if (optinclude.has(Node.warning)) {
+            emit(depth === -1
+                ? makeWarning('TAG_MISMATCH', `Unexpected closing tag: ${tagName}`, end)
+                : makeWarning('TAG_MISMATCH', `Unclosed tags: ${tagStack.slice(depth + 1).join(',')}`, end),
+            end);
+        }
+
+        if (depth !== -1) {
+            while (tagStack.length > depth) {
+                const toYield = handleTagClosing(tagStack[tagStack.length - 1], end);
+                if (toYield) emit(toYield, end);
+            }
         }
     }
 
@@ -186,47 +1060,363 @@ module.exports = function makeAsyncXMLParser(options = {}) {
     let waiting = null;
 
     /**
-     * Put the stream into waiting mode, which means we need more data
-     * to finish parsing the current token.
+     * Put the stream into waiting mode, which means we need more data
+     * to finish parsing the current token.
+     *
+     * @private
+     * @param token Type of token that is being parsed.
+     * @param data Pending data.
+     */
+    function wait(token, data) {
+        checkTokenLength(input.length);
+
+        if (optMaxPendingLength !== undefined && data.length > optMaxPendingLength) {
+            throw withContext(new XMLParseError(
+                'PENDING_LIMIT_EXCEEDED',
+                `Pending data exceeds the limit of ${optMaxPendingLength} characters`
+            ), input.length);
+        }
+
+        waiting = {token, data};
+    }
+
+    /**
+     * Check that the token being parsed is not longer than
+     * the maxTokenLength option allows.
+     *
+     * @private
+     * @param {number} end Position in the input just after the token,
+     * or the end of the input if the token is incomplete.
+     * @throws {XMLParseError} If the token is too long.
+     */
+    function checkTokenLength(end) {
+        if (optMaxTokenLength !== undefined && end - tokenIndex > optMaxTokenLength) {
+            throw withContext(new XMLParseError(
+                'TOKEN_LIMIT_EXCEEDED',
+                `Node exceeds the limit of ${optMaxTokenLength} characters`
+            ), end);
+        }
+    }
+
+    /**
+     * Put the stream out of waiting mode.
+     *
+     * @private
+     * @return Any data that was pending.
+     */
+    function unwait() {
+        if (waiting === null) {
+            return '';
+        }
+
+        const data = waiting.data;
+        waiting = null;
+        return data;
+    }
+
+    // Data being parsed, starting with any data that was pending
+    let input = '';
+
+    // Position of the start of the input since the start of the stream
+    let inputOffset = 0;
+
+    // Number of characters read since the start of the stream
+    let inputLength = 0;
+
+    // Last located position and start of its line, which only move forward
+    const cursor = {offset: 0, line: 1, lineStart: 0};
+
+    // Index in the input of the token being parsed
+    let tokenIndex = 0;
+
+    // Position of the token being parsed, if the positions option is set
+    let tokenStart = null;
+
+    // Index in the input up to which it is parsed, the tokenizer
+    // state matching that point
+    let parsedIndex = 0;
+
+    // Nodes completed by the last parsed token, their number and the
+    // index of the next one to be yielded. The array is reused rather
+    // than emptied, which is faster.
+    const queue = [];
+    let queueLength = 0;
+    let queued = 0;
+
+    /**
+     * Compute the position of a character of the input. Positions must
+     * be located in increasing order, which is the parsing order.
+     *
+     * @private
+     * @param {number} index Index of the character in the input.
+     * @return {Position}
+     */
+    function locate(index) {
+        for (let i = cursor.offset - inputOffset; i < index; ++i) {
+            if (input.charCodeAt(i) === 10 /* \n */) {
+                cursor.line += 1;
+                cursor.lineStart = inputOffset + i + 1;
+            }
+        }
+
+        cursor.offset = inputOffset + index;
+        return {
+            offset: cursor.offset,
+            line: cursor.line,
+            column: cursor.offset - cursor.lineStart + 1
+        };
+    }
+
+    /**
+     * Complete a node before it is yielded: convert it to an object
+     * if the objects option is set, and attach the location of the
+     * current token if the positions option is set. Nodes must be
+     * completed right after the tag stack is updated for them.
+     *
+     * @private
+     * @param {array} node Node to be yielded.
+     * @param {number} end Position in the input just after the node.
+     * @return {array|ObjectNode} The node.
+     */
+    function completeNode(node, end) {
+        if (optObjects) {
+            node = toObjectNode(
+                node,
+                node[0] === Node.tagOpen ? tagStack.length - 1 : tagStack.length
+            );
+        }
+
+        if (optPositions) {
+            node.position = {start: tokenStart, end: locate(end)};
+        }
+        return node;
+    }
+
+    /**
+     * Complete a node and queue it to be yielded once the current token
+     * is parsed, after the current run of character data if any.
+     *
+     * @private
+     * @param {array} node Node to be yielded.
+     * @param {number} end Position in the input just after the node.
+     */
+    function emit(node, end) {
+        if (charData !== null) {
+            queueCharData();
+        }
+
+        queue[queueLength++] = completeNode(node, end);
+    }
+
+    /**
+     * Yield the queued nodes.
+     *
+     * @private
+     */
+    function* flush() {
+        while (queued < queueLength) {
+            yield queue[queued++];
+        }
+
+        queueLength = 0;
+        queued = 0;
+    }
+
+    /**
+     * Emit a text node for a text of the input, applying the whitespace
+     * mode of the current element, or add it to the current run of
+     * character data if the coalesce option is set.
+     *
+     * @private
+     * @param {string} text The text, with entities not decoded.
+     * @param {number} end Position in the input just after the text.
+     */
+    function handleText(text, end) {
+        if (optCoalesce) {
+            if (text.length !== 0) {
+                handleCharData([Node.text, decodeText(text, end)], end);
+            }
+
+            return;
+        }
+
+        const kept = applyWhitespace(text);
+
+        if (kept.length !== 0 && (!optNoEmptyText || !/^\s*$/.test(kept))) {
+            emit([Node.text, decodeText(kept, end)], end);
+        }
+    }
+
+    /**
+     * Emit a text or CDATA node, or add its contents to the current
+     * run of character data if the coalesce option is set. Unless
+     * entities are decoded, the contents of CDATA sections are escaped
+     * so that the run reads as the contents of a text node.
+     *
+     * @private
+     * @param {array} node The text or CDATA node.
+     * @param {number} end Position in the input just after the node.
+     */
+    function handleCharData(node, end) {
+        if (!optCoalesce) {
+            emit(node, end);
+            return;
+        }
+
+        if (charData === null) {
+            charData = {
+                contents: '',
+                depth: tagStack.length,
+                space: trackWhitespace && spaceStack.length !== 0 ? spaceStack[spaceStack.length - 1] : optWhitespace,
+                start: tokenStart,
+                end: null
+            };
+        }
+
+        charData.contents += node[0] === Node.cdata && !optDecodeEntities
+            ? node[1].replace(/[&<>]/g, char => charEscapes[char])
+            : node[1];
+
+        if (optPositions) {
+            charData.end = locate(end);
+        }
+    }
+
+    /**
+     * Complete the current run of character data into a text node,
+     * applying the whitespace mode of its element, queue it unless
+     * it is dropped, and start a new run.
+     *
+     * @private
+     */
+    function queueCharData() {
+        const contents = trackWhitespace
+            ? whitespaceModes[charData.space](charData.contents)
+            : charData.contents;
+
+        if (contents.length === 0 || (optNoEmptyText && /^\s*$/.test(contents))) {
+            charData = null;
+            return;
+        }
+
+        let node = [Node.text, contents];
+
+        if (optObjects) {
+            node = toObjectNode(node, charData.depth);
+        }
+
+        if (optPositions) {
+            node.position = {start: charData.start, end: charData.end};
+        }
+
+        charData = null;
+        queue[queueLength++] = node;
+    }
+
+    /**
+     * Attach the open elements and an excerpt of the input around
+     * the current token to an error. If the positions option is set,
+     * even to 'errors', also attach the location of the token and mention it in the
+     * error message.
+     *
+     * @private
+     * @param {XMLParseError} err Error to be thrown.
+     * @param {number} end Position in the input just after the token.
+     * @return {XMLParseError} The error.
+     */
+    function withContext(err, end) {
+        if (!(err instanceof XMLParseError) || err.tagStack !== undefined) {
+            return err;
+        }
+
+        err.tagStack = tagStack.slice();
+        err.excerpt = input.slice(
+            Math.max(0, tokenIndex - excerptBefore),
+            tokenIndex + excerptAfter
+        );
+
+        if (optErrorPositions) {
+            if (!optPositions) {
+                tokenStart = locate(tokenIndex);
+            }
+
+            err.position = {start: tokenStart, end: locate(end)};
+            err.message += ` (line ${tokenStart.line}, column ${tokenStart.column})`;
+        }
+
+        return err;
+    }
+
+    /**
+     * Decode the entities of a text node.
      *
      * @private
-     * @param token Type of token that is being parsed.
-     * @param data Pending data.
+     * @param {string} text Contents of the text node.
+     * @param {number} end Position in the input just after the node.
+     * @return {string} The possibly decoded text.
      */
-    function wait(token, data) {
-        waiting = {token, data};
+    function decodeText(text, end) {
+        try {
+            return decode(text);
+        } catch (err) {
+            throw withContext(err, end);
+        }
     }
 
     /**
-     * Put the stream out of waiting mode.
+     * Parse a chunk of input, yielding the nodes it completes.
+     * Incomplete nodes are kept pending until the next chunk.
      *
      * @private
-     * @return Any data that was pending.
+     * @param {string} chunk Decoded chunk of input.
      */
-    function unwait() {
-        if (waiting === null) {
-            return '';
-        }
+    function* parseChunk(chunk) {
+        inputLength += chunk.length;
 
-        const data = waiting.data;
-        waiting = null;
-        return data;
-    }
+        if (optMaxInputLength !== undefined && inputLength > optMaxInputLength) {
+            tokenIndex = input.length;
+            if (optPositions) {
+                tokenStart = locate(tokenIndex);
+            }
+
+            throw withContext(new XMLParseError(
+                'INPUT_LIMIT_EXCEEDED',
+                `Input exceeds the limit of ${optMaxInputLength} characters`
+            ), input.length);
+        }
 
-    if (typeof sourceIterator === 'string' || sourceIterator instanceof String) {
-        // Iterate an array with a single string argument rather than iterating the string.
-        // A string would be iterated one character (code point) at a time,
-        // which probably was not intended.
-        sourceIterator = [sourceIterator];
-    }
-    for await (let input of sourceIterator) {
         // Use pending data if applicable and get out of waiting mode
-        input = unwait() + input;
+        const pending = unwait();
+
+        // Count the lines of the discarded input if tokens are not located
+        if (optErrorPositions && !optPositions) {
+            locate(input.length - pending.length);
+        }
+
+        inputOffset += input.length - pending.length;
+        input = pending + chunk;
+        parsedIndex = 0;
 
         let chunkPos = 0;
         const end = input.length;
 
         while (chunkPos < end) {
+            // Yield the nodes of the last token, inlining flush
+            // which is slower to delegate to for every token
+            if (queueLength !== 0) {
+                parsedIndex = chunkPos;
+                while (queued < queueLength) {
+                    yield queue[queued++];
+                }
+                queueLength = 0;
+                queued = 0;
+            }
+
+            tokenIndex = chunkPos;
+            if (optPositions) {
+                tokenStart = locate(chunkPos);
+            }
+
             if (input[chunkPos] !== '<') {
                 const nextTag = input.indexOf('<', chunkPos);
 
@@ -242,17 +1432,28 @@ module.exports = function makeAsyncXMLParser(options = {}) {
 
                 // A tag follows, so we can be confident that
                 // we have all the data needed for the TEXT node
+                checkTokenLength(nextTag);
+                checkCharData(input.slice(chunkPos, nextTag), true, nextTag);
+
                 if (optinclude.has(Node.text)) {
-                    const text = input.slice(chunkPos, nextTag);
-                    if (!optNoEmptyText || !/^\s*$/.test(text)) {
-                        yield [
-                            Node.text,
-                            text
-                        ];
-                    }
+                    handleText(input.slice(chunkPos, nextTag), nextTag);
                 }
 
                 chunkPos = nextTag;
+
+                if (queueLength !== 0) {
+                    parsedIndex = chunkPos;
+                    while (queued < queueLength) {
+                        yield queue[queued++];
+                    }
+                    queueLength = 0;
+                    queued = 0;
+                }
+
+                tokenIndex = chunkPos;
+                if (optPositions) {
+                    tokenStart = locate(chunkPos);
+                }
             }
 
             // Invariant: the cursor now points on the name of a tag,
@@ -295,11 +1496,14 @@ module.exports = function makeAsyncXMLParser(options = {}) {
                         break;
                     }
 
+                    checkTokenLength(cdataClose + 3);
+                    checkCharData(input.slice(chunkPos, cdataClose), false, cdataClose + 3);
+
                     if (optinclude.has(Node.cdata)) {
-                        yield [
+                        handleCharData([
                             Node.cdata,
                             input.slice(chunkPos, cdataClose)
-                        ];
+                        ], cdataClose + 3);
                     }
 
                     chunkPos = cdataClose + 3;
@@ -317,7 +1521,7 @@ module.exports = function makeAsyncXMLParser(options = {}) {
 
                     // Incomplete comment node, we need to wait for
                     // upcoming data
-                    if (commentClose === -1) {
+                    if (commentClose === -1 || commentClose + 2 === end) {
                         wait(
                             Node.comment,
                             input.slice(chunkPos - 4)
@@ -325,23 +1529,93 @@ module.exports = function makeAsyncXMLParser(options = {}) {
                         break;
                     }
 
+                    checkTokenLength(commentClose + 3);
+
                     if (input[commentClose + 2] !== '>') {
-                        throw new Error('Unexpected -- inside comment');
+                        throw withContext(new XMLParseError(
+                            'INVALID_COMMENT',
+                            'Unexpected -- inside comment'
+                        ), commentClose + 2);
                     }
 
                     if (optinclude.has(Node.comment)) {
-                        yield [
+                        emit([
                             Node.comment,
                             input.slice(chunkPos, commentClose)
-                        ];
+                        ], commentClose + 3);
                     }
 
                     chunkPos = commentClose + 3;
                     continue;
                 }
 
-                // TODO: recognize DOCTYPEs here
-                throw new Error('Unrecognized sequence: <!' + nextNextChar);
+                if (
+                    nextNextChar === 'D' &&
+                    'DOCTYPE'.startsWith(input.slice(chunkPos, chunkPos + 7))
+                ) {
+                    const doctypeClose = findDoctypeClose(input, chunkPos + 7);
+
+                    // Incomplete DOCTYPE declaration, we need to wait for
+                    // upcoming data
+                    if (doctypeClose === -1) {
+                        wait(
+                            Node.doctype,
+                            input.slice(chunkPos - 2)
+                        );
+                        break;
+                    }
+
+                    checkTokenLength(doctypeClose + 1);
+
+                    let doctype;
+                    try {
+                        doctype = parseDoctype(
+                            input.slice(chunkPos + 7, doctypeClose)
+                        );
+                    } catch (err) {
+                        throw withContext(err, doctypeClose + 1);
+                    }
+
+                    if (optStrict) {
+                        if (doctypeRead || rootOpened) {
+                            throw withContext(new XMLParseError(
+                                'MISPLACED_DOCTYPE',
+                                rootOpened
+                                    ? 'The DOCTYPE declaration must appear before the root element'
+                                    : 'Unexpected second DOCTYPE declaration'
+                            ), doctypeClose + 1);
+                        }
+
+                        doctypeRead = true;
+                    }
+
+                    if (optinclude.has(Node.doctype)) {
+                        emit(doctype, doctypeClose + 1);
+                    }
+
+                    chunkPos = doctypeClose + 1;
+                    continue;
+                }
+
+                const message = 'Unrecognized sequence: <!' + nextNextChar;
+
+                if (!optRecover) {
+                    throw withContext(new XMLParseError(
+                        'UNRECOGNIZED_SEQUENCE',
+                        message
+                    ), chunkPos + 1);
+                }
+
+                // Treat the markup as text
+                if (optinclude.has(Node.warning)) {
+                    emit(makeWarning('UNRECOGNIZED_SEQUENCE', message, chunkPos), chunkPos);
+                }
+
+                if (optinclude.has(Node.text)) {
+                    handleCharData([Node.text, '<!'], chunkPos);
+                }
+
+                continue;
             }
 
             if (nextChar === '?') {
@@ -358,11 +1632,30 @@ module.exports = function makeAsyncXMLParser(options = {}) {
                     break;
                 }
 
-                if (optinclude.has(Node.processingInstruction)) {
-                    yield [
-                        Node.processingInstruction,
-                        input.slice(chunkPos, piClose)
-                    ];
+                checkTokenLength(piClose + 2);
+
+                let instruction;
+                try {
+                    instruction = parseProcessingInstruction(
+                        input.slice(chunkPos, piClose),
+                        inputOffset + chunkPos === 2
+                    );
+
+                    if (
+                        optStrict && instruction[0] === Node.processingInstruction &&
+                        !nameRegex.test(instruction[1])
+                    ) {
+                        throw new XMLParseError(
+                            'INVALID_PROCESSING_INSTRUCTION',
+                            `Invalid processing instruction target: ${instruction[1]}`
+                        );
+                    }
+                } catch (err) {
+                    throw withContext(err, piClose + 2);
+                }
+
+                if (optinclude.has(instruction[0])) {
+                    emit(instruction, piClose + 2);
                 }
 
                 chunkPos = piClose + 2;
@@ -370,7 +1663,7 @@ module.exports = function makeAsyncXMLParser(options = {}) {
             }
 
             // Recognize regular tags (< ... >)
-            const tagClose = input.indexOf('>', chunkPos);
+            const tagClose = findTagClose(input, chunkPos);
 
             if (tagClose === -1) {
                 wait(
@@ -380,21 +1673,26 @@ module.exports = function makeAsyncXMLParser(options = {}) {
                 break;
             }
 
+            checkTokenLength(tagClose + 1);
+
             // Check if the tag is a closing tag
             if (input[chunkPos] === '/') {
-                const tagName = input.slice(chunkPos + 1, tagClose);
-                const stackedTagName = tagStack.pop();
+                // Whitespace may follow the name of a closing tag
+                const tagName = input.slice(chunkPos + 1, tagClose).replace(/[ \t\r\n]+$/, '');
 
-                if (stackedTagName !== tagName) {
-                    tagStack.length = 0;
-                    throw new Error(`Unclosed tag: ${stackedTagName}`);
+                if (optStrict) {
+                    try {
+                        checkTagName(tagName);
+                    } catch (err) {
+                        throw withContext(err, tagClose + 1);
+                    }
                 }
 
-                if (optinclude.has(Node.tagClose)) {
-                    yield [
-                        Node.tagClose,
-                        tagName
-                    ];
+                if (optRecover && tagStack[tagStack.length - 1] !== tagName) {
+                    recoverTagMismatch(tagName, tagClose + 1);
+                } else {
+                    const toYield = handleTagClosing(tagName, tagClose + 1);
+                    if (toYield) emit(toYield, tagClose + 1);
                 }
 
                 chunkPos = tagClose + 1;
@@ -407,66 +1705,583 @@ module.exports = function makeAsyncXMLParser(options = {}) {
 
             // Extract the tag name and attributes
             const whitespace = input.slice(chunkPos).search(/\s/);
+            let tagName;
 
             if (whitespace === -1 || whitespace >= tagClose - chunkPos) {
                 // Tag without any attribute
+                tagName = input.slice(chunkPos, realTagClose);
                 const toYield = handleTagOpening({
-                    name: input.slice(chunkPos, realTagClose),
+                    name: tagName,
                     attrs: '',
-                    isSelfClosing
+                    isSelfClosing,
+                    end: tagClose + 1
                 });
-                if (toYield) yield toYield;
+                if (toYield) emit(toYield, tagClose + 1);
 
             } else if (whitespace === 0) {
-                throw new Error('Tag names may not start with whitespace');
+                const message = 'Tag names may not start with whitespace';
+
+                if (!optRecover) {
+                    throw withContext(new XMLParseError(
+                        'INVALID_TAG_NAME',
+                        message
+                    ), tagClose + 1);
+                }
+
+                // Treat the tag as text
+                if (optinclude.has(Node.warning)) {
+                    emit(makeWarning('INVALID_TAG_NAME', message, chunkPos), chunkPos);
+                }
+
+                if (optinclude.has(Node.text)) {
+                    handleCharData([Node.text, '<'], chunkPos);
+                }
+
+                continue;
             } else {
                 // Tag with attributes
+                tagName = input.slice(chunkPos, chunkPos + whitespace);
                 const toYield = handleTagOpening({
-                    name: input.slice(chunkPos, chunkPos + whitespace),
+                    name: tagName,
                     attrs: input.slice(chunkPos + whitespace, realTagClose),
-                    isSelfClosing
+                    isSelfClosing,
+                    end: tagClose + 1
                 });
-                if (toYield) yield toYield;
+                if (toYield) emit(toYield, tagClose + 1);
             }
 
-            if (isSelfClosing && optAlwaysTagClose && optinclude.has(Node.tagClose)) {
-                yield [Node.tagClose, input.slice(chunkPos, realTagClose).trim()];
+            if (isSelfClosing) {
+                const toYield = handleTagClosing(tagName, tagClose + 1);
+                if (toYield && optAlwaysTagClose) emit(toYield, tagClose + 1);
             }
 
             chunkPos = tagClose + 1;
         }
 
-    }  // end for await (let input of sourceIterator)
-
-    // Handle unclosed nodes
-    if (waiting !== null) {
-        switch (waiting.token) {
-        case Node.text:
-            // Text nodes are implicitly closed
-            yield [
-                'text',
-                waiting.data
-            ];
-            break;
-        case Node.cdata:
-            throw new Error('Unclosed CDATA section');
-        case Node.comment:
-            throw new Error('Unclosed comment');
-        case Node.processingInstruction:
-            throw new Error('Unclosed processing instruction');
-        case Node.tagOpen:
-        case Node.tagClose:
-            // We do not distinguish between unclosed opening
-            // or unclosed closing tags
-            throw new Error('Unclosed tag');
-        }
-    }
-
-    if (tagStack.length !== 0) {
-        throw new Error(
-            `Unclosed tags: ${tagStack.join(',')}`
-        );
+        parsedIndex = waiting === null ? input.length : input.length - waiting.data.length;
+        yield* flush();
+    }
+
+    /**
+     * Handle the end of the input, yielding the pending text and the
+     * nodes that close the open elements in recovery mode.
+     *
+     * @private
+     */
+    function* parseEnd() {
+        const unclosed = waiting;
+        waiting = null;
+        parsedIndex = input.length;
+
+        // Handle unclosed nodes
+        if (unclosed !== null) {
+            switch (unclosed.token) {
+            case Node.text: {
+                // Text nodes are implicitly closed
+                checkCharData(unclosed.data, true, input.length);
+                handleText(unclosed.data, input.length);
+                break;
+            }
+            case Node.cdata:
+                throw withContext(new XMLParseError(
+                    'UNCLOSED_CDATA',
+                    'Unclosed CDATA section'
+                ), input.length);
+            case Node.comment:
+                throw withContext(new XMLParseError(
+                    'UNCLOSED_COMMENT',
+                    'Unclosed comment'
+                ), input.length);
+            case Node.processingInstruction:
+                throw withContext(new XMLParseError(
+                    'UNCLOSED_PROCESSING_INSTRUCTION',
+                    'Unclosed processing instruction'
+                ), input.length);
+            case Node.doctype:
+                throw withContext(new XMLParseError(
+                    'UNCLOSED_DOCTYPE',
+                    'Unclosed DOCTYPE declaration'
+                ), input.length);
+            case Node.tagOpen:
+            case Node.tagClose:
+                // We do not distinguish between unclosed opening
+                // or unclosed closing tags
+                if (!optRecover) {
+                    throw withContext(new XMLParseError(
+                        'UNCLOSED_TAG',
+                        'Unclosed tag'
+                    ), input.length);
+                }
+
+                // Drop the tag cut short by the end of the input
+                if (optinclude.has(Node.warning)) {
+                    emit(makeWarning('UNCLOSED_TAG', 'Unclosed tag', input.length), input.length);
+                }
+                break;
+            }
+
+            yield* flush();
+        }
+
+        if (tagStack.length !== 0) {
+            tokenIndex = input.length;
+            if (optPositions) {
+                tokenStart = locate(tokenIndex);
+            }
+            const message = `Unclosed tags: ${tagStack.join(',')}`;
+
+            if (!optRecover) {
+                throw withContext(new XMLParseError(
+                    'UNCLOSED_ELEMENTS',
+                    message
+                ), input.length);
+            }
+
+            // Close the open elements
+            if (optinclude.has(Node.warning)) {
+                emit(makeWarning('UNCLOSED_ELEMENTS', message, input.length), input.length);
+            }
+
+            while (tagStack.length !== 0) {
+                const toYield = handleTagClosing(tagStack[tagStack.length - 1], input.length);
+                if (toYield) emit(toYield, input.length);
+            }
+        }
+
+        // End the last run of character data
+        if (charData !== null) {
+            queueCharData();
+        }
+
+        yield* flush();
+
+        if (optStrict && !rootOpened) {
+            tokenIndex = input.length;
+            if (optPositions) {
+                tokenStart = locate(tokenIndex);
+            }
+
+            throw withContext(new XMLParseError(
+                'MISSING_ROOT',
+                'The document has no root element'
+            ), input.length);
+        }
+    }
+
+    /**
+     * Save the state of the tokenizer between two yielded nodes.
+     *
+     * @private
+     * @return {Object} The JSON-serializable state.
+     */
+    function checkpoint() {
+        // Count the lines of the parsed input
+        if (optErrorPositions) {
+            locate(parsedIndex);
+        }
+
+        return {
+            pending: input.slice(parsedIndex),
+            nodes: queue.slice(queued, queueLength).map(node =>
+                Array.isArray(node) && node.position !== undefined
+                    ? {node: node.slice(), position: node.position}
+                    : node
+            ),
+            inputOffset: inputOffset + parsedIndex,
+            inputLength,
+            cursor: Object.assign({}, cursor),
+            tagStack: tagStack.slice(),
+            nsStack: nsStack.map(({scope, name}, index) => {
+                const parentScope = index === 0 ? rootScope : nsStack[index - 1].scope;
+                return {
+                    declarations: scope === parentScope ? null : Object.assign({}, scope),
+                    name
+                };
+            }),
+            spaceStack: spaceStack.slice(),
+            rootOpened,
+            doctypeRead,
+            charData: charData === null ? null : Object.assign({}, charData)
+        };
+    }
+
+    /**
+     * Restore a state saved by checkpoint. The pending input must
+     * then be parsed by feeding an empty chunk to the tokenizer.
+     *
+     * @private
+     * @param {Object} state The saved state.
+     */
+    function restore(state) {
+        input = state.pending;
+        waiting = {token: null, data: state.pending};
+        inputOffset = state.inputOffset;
+        inputLength = state.inputLength;
+        Object.assign(cursor, state.cursor);
+        tagStack.push(...state.tagStack);
+        spaceStack.push(...state.spaceStack);
+        rootOpened = state.rootOpened;
+        doctypeRead = state.doctypeRead;
+        charData = state.charData === null ? null : Object.assign({}, state.charData);
+
+        for (const {declarations, name} of state.nsStack) {
+            const parentScope = nsStack.length === 0 ? rootScope : nsStack[nsStack.length - 1].scope;
+            nsStack.push({
+                scope: declarations === null
+                    ? parentScope
+                    : Object.assign(Object.create(parentScope), declarations),
+                name
+            });
+        }
+
+        for (const node of state.nodes) {
+            queue[queueLength++] = Array.isArray(node) || node.node === undefined
+                ? node
+                : Object.assign(node.node.slice(), {position: node.position});
+        }
+    }
+
+    if (saved !== undefined) {
+        restore(saved);
     }
+
+    return {parseChunk, parseEnd, checkpoint};
   };
+}
+
+/**
+ * Make an iterable of the chunks of a source. A string is iterated as
+ * a single chunk rather than one character (code point) at a time,
+ * which probably was not intended. Likewise for buffers, one byte at a time.
+ *
+ * @private
+ * @param {string|Buffer|ArrayBuffer|Iterable|AsyncIterable} source Source of the document.
+ * @return {Iterable|AsyncIterable}
+ */
+function chunksOf(source) {
+    if (
+        typeof source === 'string' || source instanceof String ||
+        ArrayBuffer.isView(source) || source instanceof ArrayBuffer
+    ) {
+        return [source];
+    }
+
+    return source;
+}
+
+/**
+ * Make the error thrown when a parse is aborted: the reason given
+ * to the abort signal, or an `AbortError` if there is none.
+ *
+ * @private
+ * @param {AbortSignal} signal The aborted signal.
+ * @return {Error}
+ */
+function abortError(signal) {
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+
+    const err = new Error('The parse was aborted');
+    err.name = 'AbortError';
+    err.code = 'ABORT_ERR';
+    return err;
+}
+
+/**
+ * Throw if a parse was aborted.
+ *
+ * @private
+ * @param {?AbortSignal} signal Signal aborting the parse, if any.
+ * @throws {Error} If the signal is aborted.
+ */
+function checkAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError(signal);
+    }
+}
+
+/**
+ * Iterate the chunks of an async or sync iterable until a signal is
+ * aborted, even while waiting for a chunk. The `return()` method of
+ * the iterator is called when the iteration stops early, whether it
+ * is aborted, it fails while handling a chunk, or its consumer exits.
+ * On abort, it is called without waiting for the pending chunk, and
+ * without awaiting it, since an async generator only handles it after
+ * the pending chunk.
+ *
+ * @private
+ * @param {Iterable|AsyncIterable} source The chunks.
+ * @param {AbortSignal} signal Signal aborting the iteration.
+ * @yields The chunks.
+ */
+async function* abortableChunks(source, signal) {
+    let iterator;
+
+    if (source != null && typeof source[Symbol.asyncIterator] === 'function') {
+        iterator = source[Symbol.asyncIterator]();
+    } else if (source != null && typeof source[Symbol.iterator] === 'function') {
+        iterator = source[Symbol.iterator]();
+    } else {
+        throw new TypeError('sourceIterator is not async iterable');
+    }
+
+    // Whether the iterator is done or failed, or a chunk is pending
+    let done = false;
+    let pending = false;
+
+    try {
+        for (;;) {
+            checkAborted(signal);
+
+            let onAbort;
+            const aborted = new Promise((resolve, reject) => {
+                onAbort = () => reject(abortError(signal));
+                signal.addEventListener('abort', onAbort);
+            });
+
+            let result;
+            pending = true;
+
+            try {
+                result = await Promise.race([
+                    Promise.resolve(iterator.next()).then(value => {
+                        pending = false;
+                        return value;
+                    }, err => {
+                        pending = false;
+                        done = true;
+                        throw err;
+                    }),
+                    aborted
+                ]);
+            } finally {
+                signal.removeEventListener('abort', onAbort);
+            }
+
+            if (result.done) {
+                done = true;
+                return;
+            }
+
+            yield result.value;
+        }
+    } finally {
+        if (!done && typeof iterator.return === 'function') {
+            if (pending) {
+                Promise.resolve(iterator.return()).catch(() => {});
+            } else {
+                await iterator.return();
+            }
+        }
+    }
+}
+
+/**
+ * Yield the nodes parsed by a tokenizer from a chunk, either one
+ * at a time or as a single batch. The nodes of a batch that were
+ * parsed before an error are yielded before the error is thrown.
+ *
+ * @private
+ * @param {Generator} nodes Nodes parsed from a chunk.
+ * @param {boolean} batch Whether to yield the nodes as a batch.
+ * @param {?AbortSignal} signal Signal aborting the parse, checked
+ * before each node is yielded, if any.
+ */
+function* emitNodes(nodes, batch, signal) {
+    if (!batch && !signal) {
+        yield* nodes;
+        return;
+    }
+
+    if (!batch) {
+        for (const node of nodes) {
+            checkAborted(signal);
+            yield node;
+        }
+        return;
+    }
+
+    const collected = [];
+    try {
+        for (const node of nodes) {
+            collected.push(node);
+        }
+    } finally {
+        if (collected.length !== 0) {
+            yield collected;
+        }
+    }
+}
+
+/**
+ * Version of the format of checkpoints, changed whenever a checkpoint
+ * taken by an older version cannot be resumed from.
+ *
+ * @private
+ */
+const checkpointVersion = 1;
+
+/**
+ * Make the state of a parse, possibly resumed from a checkpoint:
+ * a tokenizer and a chunk decoder. They are made when first needed
+ * rather than when the parse is created, so that errors are thrown
+ * while iterating the nodes.
+ *
+ * @private
+ * @param {function(Object): Tokenizer} makeTokenizer Tokenizer factory.
+ * @param {Object} options Parser options.
+ * @param {Object} [resume] Checkpoint to resume from.
+ * @return {function(): Object} Function returning the `tokenizer`
+ * and the `decoder` of the parse.
+ */
+function makeParseState(makeTokenizer, options, resume) {
+    let state = null;
+
+    return () => {
+        if (state === null) {
+            if (resume && resume.version !== checkpointVersion) {
+                throw new Error(`Unsupported checkpoint version: ${resume.version}`);
+            }
+
+            state = {
+                decoder: decodeChunks.makeChunkDecoder(options.encoding, resume),
+                tokenizer: makeTokenizer(resume)
+            };
+        }
+
+        return state;
+    };
+}
+
+/**
+ * Take a checkpoint of a parse, from which a new parse can resume.
+ *
+ * @private
+ * @param {Object} state The `tokenizer` and the `decoder` of the parse.
+ * @return {Checkpoint}
+ */
+function takeCheckpoint({tokenizer, decoder}) {
+    return Object.assign(
+        {version: checkpointVersion},
+        decoder.checkpoint(),
+        tokenizer.checkpoint()
+    );
+}
+
+/**
+ * Specify parser options and return a generator function
+ * that parses an iterable that iterates an XML document,
+ * generating a series of tuples representing the nodes encountered.
+ *
+ * @param {Object} options
+ * @param {String[]} options.include - A list of all the types of nodes to be returned. Default is all nodes.
+ * @param {boolean} options.alwaysTagClose - If true, and tagclose included, yield tagclose as well as tagopen for self-closing tags.
+ * @param {boolean} options.noEmptyText - If true, empty text nodes will not be yielded
+ * @param {boolean} options.parseAttributes - If true, yield tag attributes as an attribute-value mapping
+ * @param {boolean} options.decodeEntities - If true, decode entities and character references
+ * in text nodes and in parsed attribute values
+ * @param {Object} options.entities - Additional named entities to decode, mapped to their replacement text
+ * @param {boolean} options.namespaces - If true, resolve the namespaces of tags and attributes
+ * @param {string} options.encoding - Encoding of binary chunks, overriding the encoding
+ * detected from the byte order mark or the XML declaration
+ * @param {boolean} options.recover - If true, repair tag mismatches and unrecognized markup
+ * instead of throwing, and yield warnings describing each repair
+ * @param {boolean|string} options.positions - If true, attach the location of each node and error
+ * as its `position` property, or only of each error if 'errors'
+ * @param {number} options.maxInputLength - Maximum number of characters of the whole input
+ * @param {number} options.maxPendingLength - Maximum number of characters held back
+ * between chunks while waiting for the end of a node
+ * @param {number} options.maxTokenLength - Maximum number of characters of a single node
+ * @param {number} options.maxDepth - Maximum number of nested open elements
+ * @param {number} options.maxAttributes - Maximum number of attributes of a tag
+ * @param {string} options.whitespace - How to handle the whitespace of text nodes:
+ * 'preserve' (default), 'trim', 'collapse' or 'drop' (drop whitespace-only text)
+ * @param {Object} options.whitespaceOverrides - Whitespace modes of elements, mapped
+ * from their names, inherited by their descendants
+ * @param {boolean} options.coalesce - If true, merge adjacent text and CDATA nodes
+ * into a single text node, yielded when another node ends the run
+ * @param {boolean} options.objects - If true, yield nodes as objects rather than tuples
+ * (see ObjectNode)
+ * @param {boolean} options.batch - If true, yield arrays of all the nodes completed
+ * by each chunk of input rather than single nodes
+ * @param {boolean} options.strict - If true, check the well-formedness rules that can be
+ * checked while streaming: names, single root element, attribute syntax and forbidden sequences in text
+ * @param {AbortSignal} options.signal - Signal aborting every parse, unless a signal is
+ * given to the parse itself
+ * @return {AsyncXMLParser}
+ */
+module.exports = function makeAsyncXMLParser(options = {}) {
+    const makeTokenizer = makeTokenizerFactory(options);
+
+    /**
+     * @type AsyncXMLParser
+     */
+    return function parser(sourceIterator, parseOptions = {}) {
+        const signal = parseOptions.signal || options.signal;
+        const getState = makeParseState(makeTokenizer, options, parseOptions.resume);
+
+        const nodes = (async function* parse() {
+            const {decoder, tokenizer} = getState();
+            const chunks = signal
+                ? abortableChunks(chunksOf(sourceIterator), signal)
+                : chunksOf(sourceIterator);
+
+            if (parseOptions.resume) {
+                checkAborted(signal);
+                yield* emitNodes(tokenizer.parseChunk(''), options.batch, signal);
+            }
+
+            for await (const chunk of decodeChunks(chunks, options.encoding, decoder)) {
+                yield* emitNodes(tokenizer.parseChunk(chunk), options.batch, signal);
+            }
+
+            checkAborted(signal);
+            yield* emitNodes(tokenizer.parseEnd(), options.batch, signal);
+        }());
+
+        nodes.checkpoint = () => takeCheckpoint(getState());
+        return nodes;
+    };
+};
+
+/**
+ * Specify parser options and return a generator function that
+ * synchronously parses a string, a buffer or a synchronous iterable
+ * of chunks, generating the same tuples as the asynchronous parser.
+ *
+ * @param {Object} options Parser options (see makeAsyncXMLParser).
+ * @return {SyncXMLParser}
+ */
+module.exports.makeSyncXMLParser = function makeSyncXMLParser(options = {}) {
+    const makeTokenizer = makeTokenizerFactory(options);
+
+    /**
+     * @type SyncXMLParser
+     */
+    return function parser(source, parseOptions = {}) {
+        const signal = parseOptions.signal || options.signal;
+        const getState = makeParseState(makeTokenizer, options, parseOptions.resume);
+
+        const nodes = (function* parse() {
+            const {decoder, tokenizer} = getState();
+
+            if (parseOptions.resume) {
+                checkAborted(signal);
+                yield* emitNodes(tokenizer.parseChunk(''), options.batch, signal);
+            }
+
+            for (const chunk of decodeChunks.sync(chunksOf(source), options.encoding, decoder)) {
+                checkAborted(signal);
+                yield* emitNodes(tokenizer.parseChunk(chunk), options.batch, signal);
+            }
+
+            checkAborted(signal);
+            yield* emitNodes(tokenizer.parseEnd(), options.batch, signal);
+        }());
+
+        nodes.checkpoint = () => takeCheckpoint(getState());
+        return nodes;
+    };
 };
 
@@ -1,7 +1,7 @@
 const test = require('tape-async');
 const tags = require('common-tags');
 
-const {makeAsyncXMLParser} = require('./index');
+const {makeAsyncXMLParser, makeSyncXMLParser, XMLParseError} = require('./index');
 
 const delay = ms => new Promise(_ => setTimeout(_, ms));
 
@@ -19,7 +19,38 @@ const allNodes = tags.stripIndent`
 const openAndClose = '<full></full><selfclose />';
 
 /**
- * Verify that an XML text is parsed as the specified stream of events.
+ * Variants of the parser that the tests are run against. Each one
+ * takes parser options and a string or array of chunks, and returns
+ * an iterator over the nodes, usable with `for await`.
+ */
+const variants = [
+    {name: 'async', parse: (options, xml) => makeAsyncXMLParser(options)(xml)},
+    {name: 'sync', parse: (options, xml) => makeSyncXMLParser(options)(xml)}
+];
+
+/**
+ * Parse an XML text with a variant of the parser and return the nodes,
+ * followed by the error message if an error was thrown.
+ *
+ * @param variant Parser variant.
+ * @param xml XML string or array of XML chunks.
+ * @param options Parser options.
+ */
+const parseWith = async (variant, xml, options) => {
+    const results = [];
+    try {
+        for await (let node of variant.parse(options, xml)) {
+            results.push(node);
+        }
+    } catch (err) {
+        results.push(err.toString());
+    }
+    return results;
+};
+
+/**
+ * Verify that an XML text is parsed as the specified stream of events
+ * by all the variants of the parser.
  *
  * @param assert Assertion function.
  * @param xml XML string or array of XML chunks.
@@ -37,26 +68,14 @@ const expectEvents = (assert, xml, events, options) => {
         xml = chunks;
     }
 
-    const results = [];
-
     (async function () {
-        for await (let node of makeAsyncXMLParser(options)(xml)) {
-            results.push(node);
+        for (const variant of variants) {
+            assert.deepEqual(
+                await parseWith(variant, xml, options), events,
+                `parsed data should be as expected (${variant.name})`
+            );
         }
-    }()).then(() => {
-        assert.deepEqual(
-            results, events,
-            'parsed data should be as expected'
-        );
-        assert.end();
-    }).catch((err) => {
-        results.push(err.toString());
-        assert.deepEqual(
-            results, events,
-            'an exception was thrown'
-        );
-        assert.end();
-    });
+    }()).then(() => assert.end(), err => assert.end(err));
 };
 
 test('should parse comments', assert => {
@@ -73,17 +92,24 @@ test('should parse comments between two chunks', assert => {
     );
 });
 
+test('should parse comments split after the closing dashes', assert => {
+    expectEvents(assert,
+        ['<!-- this is a comment --', '>'],
+        [['comment', ' this is a comment ']]
+    );
+});
+
 test('should not parse unclosed comments', assert => {
     expectEvents(assert,
         '<!-- this is a comment ->',
-        [new Error('Unclosed comment').toString()]
+        ['XMLParseError: Unclosed comment']
     );
 });
 
 test('should not parse invalid comments', assert => {
     expectEvents(assert,
         '<!-- this is an -- invalid comment ->',
-        [new Error('Unexpected -- inside comment').toString()]
+        ['XMLParseError: Unexpected -- inside comment']
     );
 });
 
@@ -104,28 +130,114 @@ test('should parse CDATA sections between two chunks', assert => {
 test('should not parse invalid CDATA sections', assert => {
     expectEvents(assert,
         ['<![CDAthis is NOT a c&data s<>ction]]>'],
-        [new Error('Unrecognized sequence: <![').toString()]
+        ['XMLParseError: Unrecognized sequence: <![']
     );
 });
 
 test('should not parse unclosed CDATA sections', assert => {
     expectEvents(assert,
         '<![CDATA[this is a c&data s<>ction]>',
-        [new Error('Unclosed CDATA section').toString()]
+        ['XMLParseError: Unclosed CDATA section']
     );
 });
 
 test('should parse processing instructions', assert => {
     expectEvents(assert,
-        '<?xml version="1.0" encoding="UTF-8" ?>',
-        [['processinginstruction', 'xml version="1.0" encoding="UTF-8" ']]
+        '<a><?xml-stylesheet type="text/xsl" href="style.xsl"?><?php echo "?"; ?><?empty?></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['processinginstruction', 'xml-stylesheet', 'type="text/xsl" href="style.xsl"',
+                {type: 'text/xsl', href: 'style.xsl'}],
+            ['processinginstruction', 'php', 'echo "?"; ', null],
+            ['processinginstruction', 'empty', '', {}],
+            ['tagclose', 'a']
+        ]
+    );
+});
+
+test('should parse processing instructions without data', assert => {
+    expectEvents(assert,
+        ['<?em', 'pty?><?pi \n data ?>'],
+        [
+            ['processinginstruction', 'empty', '', {}],
+            ['processinginstruction', 'pi', 'data ', null]
+        ]
+    );
+});
+
+test('should parse the XML declaration', assert => {
+    expectEvents(assert,
+        '<?xml version="1.0" encoding="UTF-8" standalone=\'yes\' ?><a/>',
+        [
+            ['xmldecl', '1.0', 'UTF-8', 'yes'],
+            ['tagopen', 'a', '', '/']
+        ]
+    );
+});
+
+test('should parse XML declarations without optional pseudo-attributes', assert => {
+    expectEvents(assert,
+        ['<?x', 'ml version="1.1"?>'],
+        [['xmldecl', '1.1', '', '']]
+    );
+});
+
+test('should skip the byte order mark of string documents', assert => {
+    expectEvents(assert,
+        '\uFEFF<?xml version="1.0"?><r/>',
+        [
+            ['xmldecl', '1.0', '', ''],
+            ['tagopen', 'r', '', '/']
+        ]
+    );
+});
+
+test('should only skip a byte order mark at the start of string documents', assert => {
+    expectEvents(assert,
+        ['', '\uFEFF<r>\uFEFF</r>'],
+        [
+            ['tagopen', 'r', '', ''],
+            ['text', '\uFEFF'],
+            ['tagclose', 'r']
+        ]
     );
 });
 
+test('should not parse malformed processing instructions', async assert => {
+    const cases = [
+        ['<??>', 'INVALID_PROCESSING_INSTRUCTION', 'Missing processing instruction target'],
+        ['<? pi?>', 'INVALID_PROCESSING_INSTRUCTION', 'Missing processing instruction target'],
+        [' <?xml version="1.0"?>', 'MISPLACED_XML_DECLARATION',
+            'The XML declaration is only allowed at the start of the document'],
+        ['<a/><?xml version="1.0"?>', 'MISPLACED_XML_DECLARATION',
+            'The XML declaration is only allowed at the start of the document'],
+        ['<?XML version="1.0"?>', 'MISPLACED_XML_DECLARATION',
+            'The XML declaration is only allowed at the start of the document'],
+        ['<?xml?>', 'INVALID_XML_DECLARATION', 'The XML declaration must start with the version'],
+        ['<?xml encoding="UTF-8" version="1.0"?>', 'INVALID_XML_DECLARATION',
+            'The XML declaration must start with the version'],
+        ['<?xml version="1.0" standalone="no" encoding="UTF-8"?>', 'INVALID_XML_DECLARATION',
+            'Unexpected pseudo-attribute in the XML declaration: encoding'],
+        ['<?xml version="1.0" other="1"?>', 'INVALID_XML_DECLARATION',
+            'Unexpected pseudo-attribute in the XML declaration: other'],
+        ['<?xml version="1.0" standalone="maybe"?>', 'INVALID_XML_DECLARATION',
+            'Invalid standalone declaration: maybe'],
+        ['<?xml version=1.0?>', 'INVALID_XML_DECLARATION',
+            'Invalid XML declaration: Attribute values should be quoted: version']
+    ];
+
+    for (const [xml, code, message] of cases) {
+        const err = await catchError([xml]);
+        assert.ok(err instanceof XMLParseError, `${xml} should throw an XMLParseError`);
+        assert.equal(err.code, code, xml);
+        assert.equal(err.message, message, xml);
+    }
+});
+
 test('should not parse unclosed processing instructions', assert => {
     expectEvents(assert,
         '<?xml version="1.0" encoding="UTF-8">',
-        [new Error('Unclosed processing instruction').toString()]
+        ['XMLParseError: Unclosed processing instruction']
     );
 });
 
@@ -142,7 +254,7 @@ test('should parse simple tags', assert => {
 test('should not parse unclosed opening tags', assert => {
     expectEvents(assert,
         '<tag',
-        [new Error('Unclosed tag').toString()]
+        ['XMLParseError: Unclosed tag']
     );
 });
 
@@ -151,7 +263,7 @@ test('should not parse unclosed tags 2', assert => {
         '<tag>',
         [
             ['tagopen', 'tag', '', ''],
-            new Error('Unclosed tags: tag').toString()
+            'XMLParseError: Unclosed tags: tag'
         ]
     );
 });
@@ -162,22 +274,105 @@ test('should not parse unclosed tags 3', assert => {
         [
             ['tagopen', 'closed', '', ''],
             ['tagopen', 'unclosed', '', ''],
-            new Error('Unclosed tag: unclosed').toString()
+            'XMLParseError: Unclosed tag: unclosed'
+        ]
+    );
+});
+
+test('should parse DOCTYPEs', assert => {
+    expectEvents(assert,
+        '<!DOCTYPE html><html></html>',
+        [
+            ['doctype', 'html', '', '', ''],
+            ['tagopen', 'html', '', ''],
+            ['tagclose', 'html']
+        ]
+    );
+});
+
+test('should parse DOCTYPEs with public and system identifiers', assert => {
+    expectEvents(assert,
+        '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" ' +
+        '"http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">',
+        [[
+            'doctype', 'html',
+            '-//W3C//DTD XHTML 1.0 Strict//EN',
+            'http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd',
+            ''
+        ]]
+    );
+});
+
+test('should parse DOCTYPEs with a system identifier', assert => {
+    expectEvents(assert,
+        "<!DOCTYPE article SYSTEM 'article.dtd'>",
+        [['doctype', 'article', '', 'article.dtd', '']]
+    );
+});
+
+test('should parse DOCTYPEs with an internal subset', assert => {
+    expectEvents(assert,
+        tags.stripIndent`
+            <!DOCTYPE root SYSTEM "root.dtd" [
+              <!ENTITY gt-bracket "a > b ] c">
+              <!-- it's a ] comment > -->
+              <?pi don't ]> ?>
+              <!ATTLIST root attr CDATA '>]'>
+            ]>
+        `,
+        [[
+            'doctype', 'root', '', 'root.dtd',
+            '\n  <!ENTITY gt-bracket "a > b ] c">' +
+            "\n  <!-- it's a ] comment > -->" +
+            "\n  <?pi don't ]> ?>" +
+            "\n  <!ATTLIST root attr CDATA '>]'>\n"
+        ]]
+    );
+});
+
+test('should parse DOCTYPEs between chunks', assert => {
+    expectEvents(assert,
+        ['<', '!', 'D', 'OC', 'TYPE r', 'oot [ <!ENTITY e "', ']>', '"> ]', '><root/>'],
+        [
+            ['doctype', 'root', '', '', ' <!ENTITY e "]>"> '],
+            ['tagopen', 'root', '', '/']
         ]
     );
 });
 
-test('should not parse DOCTYPEs', assert => {
+test('should allow selecting only DOCTYPEs', assert => {
+    expectEvents(assert,
+        '<?xml version="1.0"?><!DOCTYPE root><root></root>',
+        [['doctype', 'root', '', '', '']],
+        {include: 'doctype'}
+    );
+});
+
+test('should not parse unclosed DOCTYPEs', assert => {
+    expectEvents(assert,
+        '<!DOCTYPE root [ <!ENTITY e "]>',
+        ['XMLParseError: Unclosed DOCTYPE declaration']
+    );
+});
+
+test('should not parse invalid DOCTYPEs', assert => {
+    expectEvents(assert,
+        '<!DOCTYPE root OTHER "x">',
+        ['XMLParseError: Invalid DOCTYPE declaration']
+    );
+});
+
+test('should not parse unknown markup declarations', assert => {
     expectEvents(assert,
-        '<!DOCTYPE html>',
-        [new Error('Unrecognized sequence: <!D').toString()]
+        '<!ELEMENT root ANY>',
+        ['XMLParseError: Unrecognized sequence: <!E']
     );
 });
 
 test('should not parse invalid tags', assert => {
     expectEvents(assert,
         '< invalid>',
-        [new Error('Tag names may not start with whitespace').toString()]
+        ['XMLParseError: Tag names may not start with whitespace']
     );
 });
 
@@ -201,7 +396,7 @@ test('should parse closing tags', assert => {
 test('should not parse unclosed closing tags', assert => {
     expectEvents(assert,
         '</closed',
-        [new Error('Unclosed tag').toString()]
+        ['XMLParseError: Unclosed tag']
     );
 });
 
@@ -216,321 +411,1767 @@ test('should parse tags containing attributes', assert => {
     );
 });
 
-test('should parse text nodes', assert => {
+test('should parse tag attributes if asked to', assert => {
     expectEvents(assert,
-        '<textarea> this\nis\na\r\n\ttextual\ncontent  </textarea>',
+        '<tag first="one" second=\'two\'  third="three " /><other attr="value"></other><empty></empty>',
         [
-            ['tagopen', 'textarea', '', ''],
-            ['text', ' this\nis\na\r\n\ttextual\ncontent  '],
-            ['tagclose', 'textarea']
-        ]
+            ['tagopen', 'tag', {first: 'one', second: 'two', third: 'three '}, '/'],
+            ['tagopen', 'other', {attr: 'value'}, ''],
+            ['tagclose', 'other'],
+            ['tagopen', 'empty', {}, ''],
+            ['tagclose', 'empty']
+        ],
+        {parseAttributes: true}
     );
 });
 
-test('should parse text nodes outside of the root element', assert => {
+test('should parse attribute values containing ">"', assert => {
     expectEvents(assert,
-        'before<root>inside</root>after',
+        ['<a b="x>', 'y" c = \'>\'/><d e="1">', 'z</d>'],
         [
-            ['text', 'before'],
-            ['tagopen', 'root', '', ''],
-            ['text', 'inside'],
-            ['tagclose', 'root'],
-            ['text', 'after']
-        ]
+            ['tagopen', 'a', {b: 'x>y', c: '>'}, '/'],
+            ['tagopen', 'd', {e: '1'}, ''],
+            ['text', 'z'],
+            ['tagclose', 'd']
+        ],
+        {parseAttributes: true}
     );
 });
 
-test('should parse a complete document', assert => {
+test('should only skip quotes that start attribute values', assert => {
     expectEvents(assert,
-        tags.stripIndent`
-            <?xml version="1.0" encoding="UTF-8" ?>
-            <persons>
-                <!-- List of persons -->
-                <person name="Priscilla Z. Holden" address="320-2518 Taciti Street" />
-                <person name="Raymond J. Garner" address="698-806 Dictum Road" />
-                <person name="Alfonso T. Yang" address="3689 Dolor Rd." />
-            </persons>
-        `,
+        '<a b=x"y>z"</a>',
         [
-            ['processinginstruction', 'xml version="1.0" encoding="UTF-8" '],
-            ['text', '\n'],
-            ['tagopen', 'persons', '', ''],
-            ['text', '\n    '],
-            ['comment', ' List of persons '],
-            ['text', '\n    '],
-            ['tagopen', 'person', 'name="Priscilla Z. Holden" address="320-2518 Taciti Street"', '/'],
-            ['text', '\n    '],
-            ['tagopen', 'person', 'name="Raymond J. Garner" address="698-806 Dictum Road"', '/'],
-            ['text', '\n    '],
-            ['tagopen', 'person', 'name="Alfonso T. Yang" address="3689 Dolor Rd."', '/'],
-            ['text', '\n'],
-            ['tagclose', 'persons']
+            ['tagopen', 'a', 'b=x"y', ''],
+            ['text', 'z"'],
+            ['tagclose', 'a']
         ]
     );
 });
 
-test('should allow selecting only open tags', assert => {
+test('should not parse malformed tag attributes', assert => {
     expectEvents(assert,
-        allNodes,
+        '<root><tag attr=value /></root>',
         [
-            [ 'tagopen', 'title', '', '' ],
-            [ 'tagopen', 'selfclose', '', '/' ],
-            [ 'tagopen', 'cdata-section', '', '' ],
-            [ 'tagopen', 'empty', '', '' ],
-            [ 'tagopen', 'hasattrs', 'first="one" second="two"  third="three "', '/' ],
-            [ 'tagopen', 'textarea', '', '' ],
-            [ 'tagopen', 'other', 'attr="value"', '' ]
+            ['tagopen', 'root', {}, ''],
+            'XMLParseError: Attribute values should be quoted: attr'
         ],
-        {include: 'tagopen'}
+        {parseAttributes: true}
     );
 });
 
-test('should allow selecting only closing tags', assert => {
+test('should decode entities in text if asked to', assert => {
     expectEvents(assert,
-        allNodes,
+        '<p>Fish &amp; chips &#x20AC;5 &lt;&nbsp;&gt;</p><![CDATA[&amp;]]>last &#38;',
         [
-            [ 'tagclose', 'title' ],
-            [ 'tagclose', 'cdata-section' ],
-            [ 'tagclose', 'empty' ],
-            [ 'tagclose', 'textarea' ],
-            [ 'tagclose', 'other' ]
+            ['tagopen', 'p', '', ''],
+            ['text', 'Fish & chips €5 <\u00A0>'],
+            ['tagclose', 'p'],
+            ['cdata', '&amp;'],
+            ['text', 'last &']
         ],
-        {include: 'tagclose'}
+        {decodeEntities: true, entities: {nbsp: '\u00A0'}}
     );
 });
 
-test('should allow selecting only opening and closing tags and text', assert => {
+test('should decode entities in parsed attributes if asked to', assert => {
     expectEvents(assert,
-        allNodes,
+        '<a href="?a=1&amp;b=2" title=\'&quot;&#65;&quot;\' />',
         [
-            [ 'tagopen', 'title', '', '' ],
-            [ 'text', 'XML Test File' ],
-            [ 'tagclose', 'title' ],
-            [ 'tagopen', 'selfclose', '', '/' ],
-            [ 'tagopen', 'cdata-section', '', '' ],
-            [ 'tagclose', 'cdata-section' ],
-            [ 'tagopen', 'empty', '', '' ],
-            [ 'tagclose', 'empty' ],
-            [ 'tagopen', 'hasattrs', 'first="one" second="two"  third="three "', '/' ],
-            [ 'tagopen', 'textarea', '', '' ],
-            [ 'text', ' this\nis\na\r\n\ttextual\ncontent  ' ],
-            [ 'tagclose', 'textarea' ],
-            [ 'tagopen', 'other', 'attr="value"', '' ],
-            [ 'tagclose', 'other' ]
+            ['tagopen', 'a', {href: '?a=1&b=2', title: '"A"'}, '/']
         ],
-        {include: ['tagopen', 'tagclose', 'text'], noEmptyText:true}
+        {decodeEntities: true, parseAttributes: true}
     );
 });
 
-test('should allow selecting only comments', assert => {
+test('should not decode entities in attribute strings', assert => {
     expectEvents(assert,
-        allNodes,
+        '<a href="?a=1&amp;b=2" />',
         [
-            [ 'comment', ' this is a comment ' ]
+            ['tagopen', 'a', 'href="?a=1&amp;b=2"', '/']
         ],
-        {include: 'comment'}
+        {decodeEntities: true}
     );
 });
 
-test('should allow selecting only cdata', assert => {
+test('should not decode unknown entities', assert => {
     expectEvents(assert,
-        allNodes,
+        '<p>&nbsp;</p>',
         [
-            [ 'cdata', 'this is a c&data s<>ction' ]
+            ['tagopen', 'p', '', ''],
+            'XMLParseError: Unknown entity: &nbsp;'
         ],
-        {include: 'cdata'}
+        {decodeEntities: true}
     );
 });
 
-test('should allow selecting only processing instructions', assert => {
+test('should resolve namespaces if asked to', assert => {
+    const atom = 'http://www.w3.org/2005/Atom';
+    const dc = 'http://purl.org/dc/elements/1.1/';
+    const xmlns = 'http://www.w3.org/2000/xmlns/';
     expectEvents(assert,
-        allNodes,
+        `<feed xmlns="${atom}" xmlns:dc="${dc}"><dc:title xml:lang="en" dc:type="t">T</dc:title>` +
+        '<raw xmlns="" attr="x"/></feed>',
         [
-            [ 'processinginstruction', 'xml version="1.0" encoding="UTF-8"' ]
+            [
+                'tagopen', 'feed', `xmlns="${atom}" xmlns:dc="${dc}"`, '',
+                {prefix: '', local: 'feed', uri: atom},
+                {
+                    'xmlns': {prefix: '', local: 'xmlns', uri: xmlns, value: atom},
+                    'xmlns:dc': {prefix: 'xmlns', local: 'dc', uri: xmlns, value: dc}
+                }
+            ],
+            [
+                'tagopen', 'dc:title', 'xml:lang="en" dc:type="t"', '',
+                {prefix: 'dc', local: 'title', uri: dc},
+                {
+                    'xml:lang': {prefix: 'xml', local: 'lang', uri: 'http://www.w3.org/XML/1998/namespace', value: 'en'},
+                    'dc:type': {prefix: 'dc', local: 'type', uri: dc, value: 't'}
+                }
+            ],
+            ['text', 'T'],
+            ['tagclose', 'dc:title', {prefix: 'dc', local: 'title', uri: dc}],
+            [
+                'tagopen', 'raw', 'xmlns="" attr="x"', '/',
+                {prefix: '', local: 'raw', uri: ''},
+                {
+                    'xmlns': {prefix: '', local: 'xmlns', uri: xmlns, value: ''},
+                    'attr': {prefix: '', local: 'attr', uri: '', value: 'x'}
+                }
+            ],
+            ['tagclose', 'raw', {prefix: '', local: 'raw', uri: ''}],
+            ['tagclose', 'feed', {prefix: '', local: 'feed', uri: atom}]
         ],
-        {include: 'processinginstruction'}
+        {namespaces: true, alwaysTagClose: true}
     );
 });
 
-
-test('should allow outputting tagclose for self-closing tags', assert => {
+test('should resolve namespaces in nested scopes', assert => {
     expectEvents(assert,
-        openAndClose,
+        '<a:root xmlns:a="urn:a"><a:child xmlns:a="urn:b"/><a:child/></a:root>',
         [
-            [ 'tagopen', 'full', '', '' ],
-            [ 'tagclose', 'full' ],
-            [ 'tagopen', 'selfclose', '', '/' ],
-            [ 'tagclose', 'selfclose' ]
+            ['tagclose', 'a:child', {prefix: 'a', local: 'child', uri: 'urn:b'}],
+            ['tagclose', 'a:child', {prefix: 'a', local: 'child', uri: 'urn:a'}],
+            ['tagclose', 'a:root', {prefix: 'a', local: 'root', uri: 'urn:a'}]
         ],
-        {alwaysTagClose:true}
+        {namespaces: true, alwaysTagClose: true, include: 'tagclose'}
     );
 });
 
-test('should not add a tagclose for self-closing tags if no closeTagOnSelfClose option', assert => {
+test('should not resolve undeclared namespace prefixes', assert => {
     expectEvents(assert,
-        openAndClose,
+        '<root xmlns:a="urn:a"><a:ok/></root><b:bad/>',
         [
-            [ 'tagopen', 'full', '', '' ],
-            [ 'tagclose', 'full' ],
-            [ 'tagopen', 'selfclose', '', '/' ]
+            ['tagclose', 'root', {prefix: '', local: 'root', uri: ''}],
+            'XMLParseError: Undeclared namespace prefix: b'
         ],
-        {closeTagOnSelfClose:false}
+        {namespaces: true, include: 'tagclose'}
     );
 });
 
-test('should include text that is only whitespace by default', assert => {
+test('should not resolve undeclared attribute namespace prefixes', assert => {
     expectEvents(assert,
-        `<full>something</full>
-        <selfclose />`,
-        [
-            [ 'tagopen', 'full', '', '' ],
-            [ 'text', 'something' ],
-            [ 'tagclose', 'full' ],
-            [ 'text', '\n        ' ],
-            [ 'tagopen', 'selfclose', '', '/' ]
-        ],
-        {}
+        '<root b:attr="value"/>',
+        ['XMLParseError: Undeclared namespace prefix: b'],
+        {namespaces: true}
     );
 });
 
-test('should allow filtering out whitespace text', assert => {
+test('should not allow binding reserved namespaces', assert => {
     expectEvents(assert,
-        `<full>something</full>
-        <selfclose />`,
+        '<root xmlns:xmlns="urn:a"/>',
+        ['XMLParseError: The xmlns prefix may not be declared'],
+        {namespaces: true}
+    );
+});
+
+test('should not allow undeclaring namespace prefixes', assert => {
+    expectEvents(assert,
+        '<root xmlns:a=""/>',
+        ['XMLParseError: Namespace prefix may not be undeclared: a'],
+        {namespaces: true}
+    );
+});
+
+test('should not resolve invalid qualified names', assert => {
+    expectEvents(assert,
+        '<a:b:c xmlns:a="urn:a"/>',
+        ['XMLParseError: Invalid qualified name: a:b:c'],
+        {namespaces: true}
+    );
+});
+
+test('should output tagclose for self-closing tags with attributes', assert => {
+    expectEvents(assert,
+        '<root attr="value" />',
         [
-            [ 'tagopen', 'full', '', '' ],
-            [ 'text', 'something' ],
-            [ 'tagclose', 'full' ],
-            [ 'tagopen', 'selfclose', '', '/' ]
+            ['tagopen', 'root', 'attr="value"', '/'],
+            ['tagclose', 'root']
         ],
-        {noEmptyText:true}
+        {alwaysTagClose: true}
     );
 });
 
-test('inputs should wait on outputs and outputs wait on inputs', assert => {
-    async function* genxml() {
-        yield `<a ${Date.now()} />`;
-        await delay(500);
-        yield `<b ${Date.now()} />`;
-    }
-    async function main() {
-        const parser = makeAsyncXMLParser();
-        let prev = 0;
-        for await (let node of parser(genxml())) {
-            if (prev) {
-                // expect at least 500 ms input and 500 ms output delay
-                assert.ok(node[2] >= prev + 1000);
-            } else {
-                prev = node[2];
+/**
+ * Parse an XML text with the positions option and return
+ * the type and location of each node, or the error message
+ * and location of the error. Throws if the variants of the
+ * parser disagree.
+ *
+ * @param xml Array of XML chunks.
+ * @param options Other parser options.
+ */
+const collectPositions = async (xml, options) => {
+    const allResults = [];
+
+    for (const variant of variants) {
+        const results = [];
+        try {
+            for await (let node of variant.parse(Object.assign({positions: true}, options), xml)) {
+                results.push([node[0], node.position]);
             }
-            await delay(500);
+        } catch (err) {
+            results.push([err.message, err.position]);
         }
+        allResults.push(results);
     }
-    main().then(assert.end).catch(assert.fail);
-});
 
-test('should accept a string as input', assert => {
-    async function main() {
-        const parser = makeAsyncXMLParser();
-        let accum = [];
-        for await (let node of parser('<a />')) {
-            accum.push(node);
-        }
-        assert.deepEqual(accum, [['tagopen', 'a', '', '/']]);
+    if (JSON.stringify(allResults[0]) !== JSON.stringify(allResults[1])) {
+        throw new Error('The parser variants found different positions');
     }
-    main().then(assert.end).catch(assert.fail);
+
+    return allResults[0];
+};
+
+const pos = (offset, line, column) => ({offset, line, column});
+
+test('should attach positions to nodes if asked to', async assert => {
+    assert.deepEqual(
+        await collectPositions([
+            '<?xml version="1.0"?>\n<root>\n  <a x="1"/>te',
+            'xt<!-- c -->\n<![CDATA[\n]]></r',
+            'oot>\ntail'
+        ]),
+        [
+            ['xmldecl', {start: pos(0, 1, 1), end: pos(21, 1, 22)}],
+            ['text', {start: pos(21, 1, 22), end: pos(22, 2, 1)}],
+            ['tagopen', {start: pos(22, 2, 1), end: pos(28, 2, 7)}],
+            ['text', {start: pos(28, 2, 7), end: pos(31, 3, 3)}],
+            ['tagopen', {start: pos(31, 3, 3), end: pos(41, 3, 13)}],
+            ['text', {start: pos(41, 3, 13), end: pos(45, 3, 17)}],
+            ['comment', {start: pos(45, 3, 17), end: pos(55, 3, 27)}],
+            ['text', {start: pos(55, 3, 27), end: pos(56, 4, 1)}],
+            ['cdata', {start: pos(56, 4, 1), end: pos(69, 5, 4)}],
+            ['tagclose', {start: pos(69, 5, 4), end: pos(76, 5, 11)}],
+            ['text', {start: pos(76, 5, 11), end: pos(81, 6, 5)}]
+        ]
+    );
 });
 
-test('should fail if a generator is used as an iterator without calling it first', assert => {
-    async function main() {
-        async function* gen() {
-            yield '<a';
-            yield ' />';
+test('should attach positions to nodes split in many chunks', async assert => {
+    const xml = '<a>\n<b attr="1">text</b>\n<!-- comment -->\n</a>';
+    const expected = await collectPositions([xml]);
+    assert.deepEqual(await collectPositions(xml.split('')), expected);
+    assert.deepEqual(expected[expected.length - 1], [
+        'tagclose', {start: pos(42, 4, 1), end: pos(46, 4, 5)}
+    ]);
+});
+
+test('should attach positions to errors if asked to', async assert => {
+    assert.deepEqual(
+        await collectPositions(['<root>\n  <a>\n', '  </b>\n</root>'], {include: []}),
+        [[
+            'Unclosed tag: a (line 3, column 3)',
+            {start: pos(15, 3, 3), end: pos(19, 3, 7)}
+        ]]
+    );
+    assert.deepEqual(
+        await collectPositions(['<root>\n<!-- a -- b -->'], {include: []}),
+        [[
+            'Unexpected -- inside comment (line 2, column 1)',
+            {start: pos(7, 2, 1), end: pos(16, 2, 10)}
+        ]]
+    );
+    assert.deepEqual(
+        await collectPositions(['<root>\n', '<![CDATA[abc'], {include: []}),
+        [[
+            'Unclosed CDATA section (line 2, column 1)',
+            {start: pos(7, 2, 1), end: pos(19, 2, 13)}
+        ]]
+    );
+    assert.deepEqual(
+        await collectPositions(['<root>\n', '<a x=y/>'], {include: [], parseAttributes: true}),
+        [[
+            'Attribute values should be quoted: x (line 2, column 1)',
+            {start: pos(7, 2, 1), end: pos(15, 2, 9)}
+        ]]
+    );
+    assert.deepEqual(
+        await collectPositions(['<root>\n', '<a>'], {include: []}),
+        [[
+            'Unclosed tags: root,a (line 2, column 4)',
+            {start: pos(10, 2, 4), end: pos(10, 2, 4)}
+        ]]
+    );
+});
+
+test('should only attach positions to errors if asked to', async assert => {
+    assert.deepEqual(
+        await collectPositions(['<root>\n  <a>\n', 'x\n', '  </b>\n</root>'], {positions: 'errors'}),
+        [
+            ['tagopen', undefined],
+            ['text', undefined],
+            ['tagopen', undefined],
+            ['text', undefined],
+            [
+                'Unclosed tag: a (line 4, column 3)',
+                {start: pos(17, 4, 3), end: pos(21, 4, 7)}
+            ]
+        ]
+    );
+
+    const parser = makeAsyncXMLParser({include: ['warning'], recover: true, positions: 'errors'});
+    const warnings = [];
+    for await (let node of parser(['<root>\n', '</a>\n', 'x\n<b>'])) {
+        warnings.push(node[2]);
+    }
+    assert.deepEqual(warnings, [
+        'Unexpected closing tag: a (line 2, column 1)',
+        'Unclosed tags: root,b (line 4, column 4)'
+    ]);
+});
+
+test('should not attach positions by default', async assert => {
+    for await (let node of makeAsyncXMLParser()('<a>text</a>')) {
+        assert.equal(node.position, undefined);
+    }
+    try {
+        for await (let node of makeAsyncXMLParser()('<a>')) {
+            assert.equal(node.position, undefined);
         }
-        const parser = makeAsyncXMLParser();
-        let accum = [];
+    } catch (err) {
+        assert.equal(err.message, 'Unclosed tags: a');
+        assert.equal(err.position, undefined);
+    }
+});
+
+/**
+ * Parse an XML text and return the error that was thrown.
+ * Throws if the variants of the parser disagree.
+ *
+ * @param xml Array of XML chunks.
+ * @param options Parser options.
+ */
+const catchError = async (xml, options) => {
+    const errors = [];
+
+    for (const variant of variants) {
         try {
-            for await (let node of parser(gen)) {
-                accum.push(node);
+            const nodes = variant.parse(options, xml);
+            while (!(await nodes.next()).done) {
+                // Ignore nodes
             }
-        } catch (e) {
-            assert.equal(e.toString(), 'TypeError: sourceIterator is not async iterable');
+            errors.push(undefined);
+        } catch (err) {
+            errors.push(err);
         }
     }
-    main().then(assert.end).catch(assert.fail);
-});
 
-test('should take input from a generator', assert => {
-    async function main() {
-        async function* gen() {
-            yield '<a';
-            yield ' />';
-        }
-        const parser = makeAsyncXMLParser();
-        let accum = [];
-        for await (let node of parser(gen())) {  // note `gen()`, rather than `gen` in the error test above
-            accum.push(node);
-        }
-        assert.deepEqual(accum, [['tagopen', 'a', '', '/']]);
+    const [asyncError, syncError] = errors;
+
+    if (String(asyncError) !== String(syncError) || (asyncError && asyncError.code !== syncError.code)) {
+        throw new Error(`The parser variants threw different errors: ${asyncError}, ${syncError}`);
+    }
+
+    return asyncError;
+};
+
+test('should throw typed errors with a stable code', async assert => {
+    const cases = [
+        ['<![CDATA[abc', 'UNCLOSED_CDATA'],
+        ['<!-- abc', 'UNCLOSED_COMMENT'],
+        ['<?pi abc', 'UNCLOSED_PROCESSING_INSTRUCTION'],
+        ['<!DOCTYPE abc', 'UNCLOSED_DOCTYPE'],
+        ['<abc', 'UNCLOSED_TAG'],
+        ['<abc>', 'UNCLOSED_ELEMENTS'],
+        ['<a></b>', 'TAG_MISMATCH'],
+        ['<!-- a -- b -->', 'INVALID_COMMENT'],
+        ['<!DOCTYPE>', 'INVALID_DOCTYPE'],
+        ['< a/>', 'INVALID_TAG_NAME'],
+        ['<!ELEMENT a ANY>', 'UNRECOGNIZED_SEQUENCE'],
+        ['<a b/>', 'MISSING_ATTRIBUTE_VALUE', {parseAttributes: true}],
+        ['<a b=c/>', 'UNQUOTED_ATTRIBUTE_VALUE', {parseAttributes: true}],
+        ['<a b="" b=""/>', 'DUPLICATE_ATTRIBUTE', {parseAttributes: true}],
+        ['<a>&b;</a>', 'UNKNOWN_ENTITY', {decodeEntities: true}],
+        ['<a b:c=""/>', 'UNDECLARED_PREFIX', {namespaces: true}]
+    ];
+
+    for (const [xml, code, options] of cases) {
+        const err = await catchError([xml], options);
+        assert.ok(err instanceof XMLParseError, `${code} should be an XMLParseError`);
+        assert.equal(err.code, code);
     }
-    main().then(assert.end).catch(assert.fail);
 });
 
-test('should err on unclosed CDATA', assert => {
+test('should report the tags of a mismatch', async assert => {
+    const err = await catchError(['<root><a><b></b></c></a></root>']);
+    assert.equal(err.code, 'TAG_MISMATCH');
+    assert.equal(err.expected, 'a');
+    assert.equal(err.actual, 'c');
+    assert.deepEqual(err.tagStack, ['root', 'a']);
+});
+
+test('should report open elements and an excerpt of the input', async assert => {
+    const err = await catchError([
+        '<root><section>Lorem ipsum dolor sit amet, ',
+        'consectetur <!-- adipiscing -- elit --> sed do eiusmod tempor incididunt ut labore'
+    ]);
+    assert.equal(err.code, 'INVALID_COMMENT');
+    assert.deepEqual(err.tagStack, ['root', 'section']);
+    assert.equal(err.excerpt, 't amet, consectetur <!-- adipiscing -- elit --> sed do eiusm');
+});
+
+test('should report context of errors at the end of input', async assert => {
+    const err = await catchError(['<root><a>text</a>', '<b>']);
+    assert.equal(err.code, 'UNCLOSED_ELEMENTS');
+    assert.deepEqual(err.tagStack, ['root', 'b']);
+    assert.equal(err.excerpt, '<b>');
+});
+
+test('should auto-close unclosed tags in recovery mode', assert => {
     expectEvents(assert,
-        '<cdata-section><![CDATA[this is a c&data s<>ction',
+        '<root><a><b>text</a><c></c></root>',
         [
-            [ 'tagopen', 'cdata-section', '', '' ],
-            'Error: Unclosed CDATA section'
-        ]
+            ['tagopen', 'root', '', ''],
+            ['tagopen', 'a', '', ''],
+            ['tagopen', 'b', '', ''],
+            ['text', 'text'],
+            ['warning', 'TAG_MISMATCH', 'Unclosed tags: b'],
+            ['tagclose', 'b'],
+            ['tagclose', 'a'],
+            ['tagopen', 'c', '', ''],
+            ['tagclose', 'c'],
+            ['tagclose', 'root']
+        ],
+        {recover: true}
     );
 });
 
-test('should err on unclosed comment', assert => {
+test('should ignore stray closing tags in recovery mode', assert => {
     expectEvents(assert,
-        '<!-- this is an unclosed comment',
+        '<root></a>text</root></root>',
         [
-            'Error: Unclosed comment'
-        ]
+            ['tagopen', 'root', '', ''],
+            ['warning', 'TAG_MISMATCH', 'Unexpected closing tag: a'],
+            ['text', 'text'],
+            ['tagclose', 'root'],
+            ['warning', 'TAG_MISMATCH', 'Unexpected closing tag: root']
+        ],
+        {recover: true}
     );
 });
 
-test('should err on unclosed processing instruction', assert => {
+test('should treat unrecognized markup as text in recovery mode', assert => {
     expectEvents(assert,
-        '<?xml version="1.0" encoding="UTF-8"?',
+        '<root><!ELEMENT a><  b></root>',
+        [
+            ['tagopen', 'root', '', ''],
+            ['warning', 'UNRECOGNIZED_SEQUENCE', 'Unrecognized sequence: <!E'],
+            ['text', '<!'],
+            ['text', 'ELEMENT a>'],
+            ['warning', 'INVALID_TAG_NAME', 'Tag names may not start with whitespace'],
+            ['text', '<'],
+            ['text', '  b>'],
+            ['tagclose', 'root']
+        ],
+        {recover: true}
+    );
+});
+
+test('should close open elements at the end of input in recovery mode', assert => {
+    expectEvents(assert,
+        '<root><a>text',
+        [
+            ['tagopen', 'root', '', ''],
+            ['tagopen', 'a', '', ''],
+            ['text', 'text'],
+            ['warning', 'UNCLOSED_ELEMENTS', 'Unclosed tags: root,a'],
+            ['tagclose', 'a'],
+            ['tagclose', 'root']
+        ],
+        {recover: true}
+    );
+});
+
+test('should drop tags cut short by the end of input in recovery mode', assert => {
+    expectEvents(assert,
+        ['<feed><entry id="1">x</entry><entry id=', '"2'],
+        [
+            ['tagopen', 'feed', '', ''],
+            ['tagopen', 'entry', 'id="1"', ''],
+            ['text', 'x'],
+            ['tagclose', 'entry'],
+            ['warning', 'UNCLOSED_TAG', 'Unclosed tag'],
+            ['warning', 'UNCLOSED_ELEMENTS', 'Unclosed tags: feed'],
+            ['tagclose', 'feed']
+        ],
+        {recover: true}
+    );
+});
+
+test('should drop closing tags cut short by the end of input in recovery mode', assert => {
+    expectEvents(assert,
+        '<a>x</a',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'x'],
+            ['warning', 'UNCLOSED_TAG', 'Unclosed tag'],
+            ['warning', 'UNCLOSED_ELEMENTS', 'Unclosed tags: a'],
+            ['tagclose', 'a']
+        ],
+        {recover: true}
+    );
+});
+
+test('should allow filtering out warnings in recovery mode', assert => {
+    expectEvents(assert,
+        '<root><a></root>',
+        [
+            ['tagclose', 'a'],
+            ['tagclose', 'root']
+        ],
+        {recover: true, include: 'tagclose'}
+    );
+});
+
+test('should locate warnings in recovery mode', async assert => {
+    assert.deepEqual(
+        await collectPositions(['<root>\n<a></root>'], {recover: true, include: ['warning', 'tagclose']}),
         [
-            'Error: Unclosed processing instruction'
+            ['warning', {start: pos(10, 2, 4), end: pos(17, 2, 11)}],
+            ['tagclose', {start: pos(10, 2, 4), end: pos(17, 2, 11)}],
+            ['tagclose', {start: pos(10, 2, 4), end: pos(17, 2, 11)}]
         ]
     );
 });
 
-test('should err on unclosed tag', assert => {
+test('should still throw on unrecoverable errors in recovery mode', assert => {
     expectEvents(assert,
-        '<xml version="1.0" encoding="UTF-8"',
+        '<root><!-- unclosed',
+        [
+            ['tagopen', 'root', '', ''],
+            'XMLParseError: Unclosed comment'
+        ],
+        {recover: true}
+    );
+});
+
+test('should parse text nodes', assert => {
+    expectEvents(assert,
+        '<textarea> this\nis\na\r\n\ttextual\ncontent  </textarea>',
         [
-            'Error: Unclosed tag'
+            ['tagopen', 'textarea', '', ''],
+            ['text', ' this\nis\na\r\n\ttextual\ncontent  '],
+            ['tagclose', 'textarea']
         ]
     );
 });
 
-test('should err on unclosed tags', assert => {
+test('should parse text nodes outside of the root element', assert => {
     expectEvents(assert,
-        '<a><b></b>',
+        'before<root>inside</root>after',
         [
-            [ 'tagopen', 'a', '', '' ],
-            [ 'tagopen', 'b', '', '' ],
-            [ 'tagclose', 'b' ],
-            'Error: Unclosed tags: a'
+            ['text', 'before'],
+            ['tagopen', 'root', '', ''],
+            ['text', 'inside'],
+            ['tagclose', 'root'],
+            ['text', 'after']
         ]
     );
 });
 
-test('should parse text at end of the XML', assert => {
+test('should parse a complete document', assert => {
     expectEvents(assert,
-        '<test />Extra text',
+        tags.stripIndent`
+            <?xml version="1.0" encoding="UTF-8" ?>
+            <persons>
+                <!-- List of persons -->
+                <person name="Priscilla Z. Holden" address="320-2518 Taciti Street" />
+                <person name="Raymond J. Garner" address="698-806 Dictum Road" />
+                <person name="Alfonso T. Yang" address="3689 Dolor Rd." />
+            </persons>
+        `,
         [
-            ['tagopen', 'test', '', '/'],
-            [ 'text', 'Extra text' ]
+            ['xmldecl', '1.0', 'UTF-8', ''],
+            ['text', '\n'],
+            ['tagopen', 'persons', '', ''],
+            ['text', '\n    '],
+            ['comment', ' List of persons '],
+            ['text', '\n    '],
+            ['tagopen', 'person', 'name="Priscilla Z. Holden" address="320-2518 Taciti Street"', '/'],
+            ['text', '\n    '],
+            ['tagopen', 'person', 'name="Raymond J. Garner" address="698-806 Dictum Road"', '/'],
+            ['text', '\n    '],
+            ['tagopen', 'person', 'name="Alfonso T. Yang" address="3689 Dolor Rd."', '/'],
+            ['text', '\n'],
+            ['tagclose', 'persons']
         ]
     );
 });
+
+test('should allow selecting only open tags', assert => {
+    expectEvents(assert,
+        allNodes,
+        [
+            [ 'tagopen', 'title', '', '' ],
+            [ 'tagopen', 'selfclose', '', '/' ],
+            [ 'tagopen', 'cdata-section', '', '' ],
+            [ 'tagopen', 'empty', '', '' ],
+            [ 'tagopen', 'hasattrs', 'first="one" second="two"  third="three "', '/' ],
+            [ 'tagopen', 'textarea', '', '' ],
+            [ 'tagopen', 'other', 'attr="value"', '' ]
+        ],
+        {include: 'tagopen'}
+    );
+});
+
+test('should allow selecting only closing tags', assert => {
+    expectEvents(assert,
+        allNodes,
+        [
+            [ 'tagclose', 'title' ],
+            [ 'tagclose', 'cdata-section' ],
+            [ 'tagclose', 'empty' ],
+            [ 'tagclose', 'textarea' ],
+            [ 'tagclose', 'other' ]
+        ],
+        {include: 'tagclose'}
+    );
+});
+
+test('should allow selecting only opening and closing tags and text', assert => {
+    expectEvents(assert,
+        allNodes,
+        [
+            [ 'tagopen', 'title', '', '' ],
+            [ 'text', 'XML Test File' ],
+            [ 'tagclose', 'title' ],
+            [ 'tagopen', 'selfclose', '', '/' ],
+            [ 'tagopen', 'cdata-section', '', '' ],
+            [ 'tagclose', 'cdata-section' ],
+            [ 'tagopen', 'empty', '', '' ],
+            [ 'tagclose', 'empty' ],
+            [ 'tagopen', 'hasattrs', 'first="one" second="two"  third="three "', '/' ],
+            [ 'tagopen', 'textarea', '', '' ],
+            [ 'text', ' this\nis\na\r\n\ttextual\ncontent  ' ],
+            [ 'tagclose', 'textarea' ],
+            [ 'tagopen', 'other', 'attr="value"', '' ],
+            [ 'tagclose', 'other' ]
+        ],
+        {include: ['tagopen', 'tagclose', 'text'], noEmptyText:true}
+    );
+});
+
+test('should allow selecting only comments', assert => {
+    expectEvents(assert,
+        allNodes,
+        [
+            [ 'comment', ' this is a comment ' ]
+        ],
+        {include: 'comment'}
+    );
+});
+
+test('should allow selecting only cdata', assert => {
+    expectEvents(assert,
+        allNodes,
+        [
+            [ 'cdata', 'this is a c&data s<>ction' ]
+        ],
+        {include: 'cdata'}
+    );
+});
+
+test('should allow selecting only processing instructions', assert => {
+    expectEvents(assert,
+        allNodes.replace('<title>', '<?pi data?><title>'),
+        [
+            [ 'processinginstruction', 'pi', 'data', null ]
+        ],
+        {include: 'processinginstruction'}
+    );
+});
+
+test('should allow selecting only the XML declaration', assert => {
+    expectEvents(assert,
+        allNodes,
+        [
+            [ 'xmldecl', '1.0', 'UTF-8', '' ]
+        ],
+        {include: 'xmldecl'}
+    );
+});
+
+
+test('should allow outputting tagclose for self-closing tags', assert => {
+    expectEvents(assert,
+        openAndClose,
+        [
+            [ 'tagopen', 'full', '', '' ],
+            [ 'tagclose', 'full' ],
+            [ 'tagopen', 'selfclose', '', '/' ],
+            [ 'tagclose', 'selfclose' ]
+        ],
+        {alwaysTagClose:true}
+    );
+});
+
+test('should not add a tagclose for self-closing tags if no closeTagOnSelfClose option', assert => {
+    expectEvents(assert,
+        openAndClose,
+        [
+            [ 'tagopen', 'full', '', '' ],
+            [ 'tagclose', 'full' ],
+            [ 'tagopen', 'selfclose', '', '/' ]
+        ],
+        {closeTagOnSelfClose:false}
+    );
+});
+
+test('should include text that is only whitespace by default', assert => {
+    expectEvents(assert,
+        `<full>something</full>
+        <selfclose />`,
+        [
+            [ 'tagopen', 'full', '', '' ],
+            [ 'text', 'something' ],
+            [ 'tagclose', 'full' ],
+            [ 'text', '\n        ' ],
+            [ 'tagopen', 'selfclose', '', '/' ]
+        ],
+        {}
+    );
+});
+
+test('should allow filtering out whitespace text', assert => {
+    expectEvents(assert,
+        `<full>something</full>
+        <selfclose />`,
+        [
+            [ 'tagopen', 'full', '', '' ],
+            [ 'text', 'something' ],
+            [ 'tagclose', 'full' ],
+            [ 'tagopen', 'selfclose', '', '/' ]
+        ],
+        {noEmptyText:true}
+    );
+});
+
+test('inputs should wait on outputs and outputs wait on inputs', assert => {
+    async function* genxml() {
+        yield `<a ${Date.now()} />`;
+        await delay(500);
+        yield `<b ${Date.now()} />`;
+    }
+    async function main() {
+        const parser = makeAsyncXMLParser();
+        let prev = 0;
+        for await (let node of parser(genxml())) {
+            if (prev) {
+                // expect at least 500 ms input and 500 ms output delay
+                assert.ok(node[2] >= prev + 1000);
+            } else {
+                prev = node[2];
+            }
+            await delay(500);
+        }
+    }
+    main().then(assert.end).catch(assert.fail);
+});
+
+test('should accept a string as input', assert => {
+    async function main() {
+        const parser = makeAsyncXMLParser();
+        let accum = [];
+        for await (let node of parser('<a />')) {
+            accum.push(node);
+        }
+        assert.deepEqual(accum, [['tagopen', 'a', '', '/']]);
+    }
+    main().then(assert.end).catch(assert.fail);
+});
+
+test('should accept a buffer as input', assert => {
+    expectEvents(assert,
+        [Buffer.from('<?xml version="1.0" encoding="iso-8859-1"?><a>café</a>', 'latin1')],
+        [
+            ['xmldecl', '1.0', 'iso-8859-1', ''],
+            ['tagopen', 'a', '', ''],
+            ['text', 'café'],
+            ['tagclose', 'a']
+        ]
+    );
+});
+
+test('should accept a single buffer as input', assert => {
+    async function main() {
+        const parser = makeAsyncXMLParser();
+        let accum = [];
+        for await (let node of parser(Buffer.from('<a />'))) {
+            accum.push(node);
+        }
+        assert.deepEqual(accum, [['tagopen', 'a', '', '/']]);
+    }
+    main().then(assert.end).catch(assert.fail);
+});
+
+test('should decode multibyte characters split between chunks', assert => {
+    const bytes = Buffer.from('<a>€😀</a>');
+    expectEvents(assert,
+        Array.from(bytes, byte => Buffer.from([byte])),
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', '€😀'],
+            ['tagclose', 'a']
+        ]
+    );
+});
+
+test('should fail if a generator is used as an iterator without calling it first', assert => {
+    async function main() {
+        async function* gen() {
+            yield '<a';
+            yield ' />';
+        }
+        const parser = makeAsyncXMLParser();
+        let accum = [];
+        try {
+            for await (let node of parser(gen)) {
+                accum.push(node);
+            }
+        } catch (e) {
+            assert.equal(e.toString(), 'TypeError: sourceIterator is not async iterable');
+        }
+    }
+    main().then(assert.end).catch(assert.fail);
+});
+
+test('should take input from a generator', assert => {
+    async function main() {
+        async function* gen() {
+            yield '<a';
+            yield ' />';
+        }
+        const parser = makeAsyncXMLParser();
+        let accum = [];
+        for await (let node of parser(gen())) {  // note `gen()`, rather than `gen` in the error test above
+            accum.push(node);
+        }
+        assert.deepEqual(accum, [['tagopen', 'a', '', '/']]);
+    }
+    main().then(assert.end).catch(assert.fail);
+});
+
+test('should err on unclosed CDATA', assert => {
+    expectEvents(assert,
+        '<cdata-section><![CDATA[this is a c&data s<>ction',
+        [
+            [ 'tagopen', 'cdata-section', '', '' ],
+            'XMLParseError: Unclosed CDATA section'
+        ]
+    );
+});
+
+test('should err on unclosed comment', assert => {
+    expectEvents(assert,
+        '<!-- this is an unclosed comment',
+        [
+            'XMLParseError: Unclosed comment'
+        ]
+    );
+});
+
+test('should err on unclosed processing instruction', assert => {
+    expectEvents(assert,
+        '<?xml version="1.0" encoding="UTF-8"?',
+        [
+            'XMLParseError: Unclosed processing instruction'
+        ]
+    );
+});
+
+test('should err on unclosed tag', assert => {
+    expectEvents(assert,
+        '<xml version="1.0" encoding="UTF-8"',
+        [
+            'XMLParseError: Unclosed tag'
+        ]
+    );
+});
+
+test('should err on unclosed tags', assert => {
+    expectEvents(assert,
+        '<a><b></b>',
+        [
+            [ 'tagopen', 'a', '', '' ],
+            [ 'tagopen', 'b', '', '' ],
+            [ 'tagclose', 'b' ],
+            'XMLParseError: Unclosed tags: a'
+        ]
+    );
+});
+
+test('should parse text at end of the XML', assert => {
+    expectEvents(assert,
+        '<test />Extra text',
+        [
+            ['tagopen', 'test', '', '/'],
+            [ 'text', 'Extra text' ]
+        ]
+    );
+});
+
+test('should accept well-formed documents in strict mode', assert => {
+    expectEvents(assert,
+        '<?xml version="1.0"?>\n<!DOCTYPE r>\n<r:oot a-1="x" _b.c="y"><é/><![CDATA[]]]]></r:oot>\n<!-- end -->\n',
+        [
+            ['xmldecl', '1.0', '', ''],
+            ['text', '\n'],
+            ['doctype', 'r', '', '', ''],
+            ['text', '\n'],
+            ['tagopen', 'r:oot', 'a-1="x" _b.c="y"', ''],
+            ['tagopen', 'é', '', '/'],
+            ['cdata', ']]'],
+            ['tagclose', 'r:oot'],
+            ['text', '\n'],
+            ['comment', ' end '],
+            ['text', '\n']
+        ],
+        {strict: true}
+    );
+});
+
+test('should accept tags allowed by the grammar in strict mode', assert => {
+    expectEvents(assert,
+        '<a b="x>y"><c\n/></a \n>',
+        [
+            ['tagopen', 'a', {b: 'x>y'}, ''],
+            ['tagopen', 'c', {}, '/'],
+            ['tagclose', 'a']
+        ],
+        {strict: true, parseAttributes: true}
+    );
+});
+
+test('should check well-formedness in strict mode', async assert => {
+    const cases = [
+        ['<1a/>', 'INVALID_TAG_NAME', 'Invalid tag name: 1a'],
+        ['<a></a b>', 'INVALID_TAG_NAME', 'Invalid tag name: a b'],
+        ['<a -b=""/>', 'INVALID_ATTRIBUTE', 'Invalid attribute name: -b'],
+        ['<a b/>', 'MISSING_ATTRIBUTE_VALUE', 'Expected a value for the attribute: b'],
+        ['<a b="" b=""/>', 'DUPLICATE_ATTRIBUTE', 'Duplicate attribute: b'],
+        ['<a b="<"/>', 'INVALID_ATTRIBUTE', 'Attribute values may not contain <: b'],
+        ['<a/><b/>', 'MULTIPLE_ROOTS', 'Unexpected element after the root element: b'],
+        ['text<a/>', 'TEXT_OUTSIDE_ROOT', 'Text is not allowed outside of the root element'],
+        ['<a/>text', 'TEXT_OUTSIDE_ROOT', 'Text is not allowed outside of the root element'],
+        ['<![CDATA[ ]]><a/>', 'TEXT_OUTSIDE_ROOT', 'Text is not allowed outside of the root element'],
+        ['<a>]]></a>', 'INVALID_TEXT', 'Text may not contain ]]>'],
+        ['<!DOCTYPE r><r/><!DOCTYPE r>', 'MISPLACED_DOCTYPE',
+            'The DOCTYPE declaration must appear before the root element'],
+        ['<r><!DOCTYPE r></r>', 'MISPLACED_DOCTYPE',
+            'The DOCTYPE declaration must appear before the root element'],
+        ['<!DOCTYPE r>\n<!DOCTYPE r><r/>', 'MISPLACED_DOCTYPE', 'Unexpected second DOCTYPE declaration'],
+        ['<a><?1pi?></a>', 'INVALID_PROCESSING_INSTRUCTION', 'Invalid processing instruction target: 1pi'],
+        ['<!-- no root -->', 'MISSING_ROOT', 'The document has no root element']
+    ];
+
+    for (const [xml, code, message] of cases) {
+        const err = await catchError([xml], {strict: true});
+        assert.ok(err instanceof XMLParseError, `${xml} should throw an XMLParseError`);
+        assert.equal(err.code, code, xml);
+        assert.equal(err.message, message, xml);
+    }
+
+    for (const [xml] of cases.slice(0, -1)) {
+        if (!xml.includes('</a b>')) {
+            assert.equal(await catchError([xml]), undefined, `${xml} should be accepted when not strict`);
+        }
+    }
+});
+
+test('should report positions of well-formedness errors', async assert => {
+    const err = await catchError(['<a>\n</a>\n', '<b/>'], {strict: true, positions: true});
+    assert.equal(err.message, 'Unexpected element after the root element: b (line 3, column 1)');
+    assert.deepEqual(err.tagStack, []);
+});
+
+test('should enforce resource limits', async assert => {
+    const cases = [
+        [['<a>', 'text'.repeat(10)], {maxInputLength: 40}, 'INPUT_LIMIT_EXCEEDED',
+            'Input exceeds the limit of 40 characters'],
+        [['<a>', 'text', 'text', 'text'], {maxPendingLength: 10}, 'PENDING_LIMIT_EXCEEDED',
+            'Pending data exceeds the limit of 10 characters'],
+        [['<a><!-- long', ' comment'], {maxPendingLength: 10}, 'PENDING_LIMIT_EXCEEDED',
+            'Pending data exceeds the limit of 10 characters'],
+        [['<a>text text text</a>'], {maxTokenLength: 10}, 'TOKEN_LIMIT_EXCEEDED',
+            'Node exceeds the limit of 10 characters'],
+        [['<a b="1" c="2" d="3"/>'], {maxTokenLength: 10}, 'TOKEN_LIMIT_EXCEEDED',
+            'Node exceeds the limit of 10 characters'],
+        [['<a><![CDATA[', 'data data data'], {maxTokenLength: 20}, 'TOKEN_LIMIT_EXCEEDED',
+            'Node exceeds the limit of 20 characters'],
+        [['<a><b><c><d/></c></b></a>'], {maxDepth: 3}, 'DEPTH_LIMIT_EXCEEDED',
+            'Nesting depth exceeds the limit of 3'],
+        [['<a b="1" c="=" d=\'2\'/>'], {maxAttributes: 2}, 'ATTRIBUTE_LIMIT_EXCEEDED',
+            'Attribute count exceeds the limit of 2: a']
+    ];
+
+    for (const [xml, options, code, message] of cases) {
+        const err = await catchError(xml, options);
+        assert.ok(err instanceof XMLParseError, `${code} should be an XMLParseError`);
+        assert.equal(err.code, code);
+        assert.equal(err.message, message);
+    }
+});
+
+test('should accept input within resource limits', assert => {
+    expectEvents(assert,
+        ['<a b="1" c="=">', 'text', '<b/></a>'],
+        [
+            ['tagopen', 'a', 'b="1" c="="', ''],
+            ['text', 'text'],
+            ['tagopen', 'b', '', '/'],
+            ['tagclose', 'a']
+        ],
+        {maxInputLength: 27, maxPendingLength: 4, maxTokenLength: 15, maxDepth: 2, maxAttributes: 2}
+    );
+});
+
+test('should throw as soon as a resource limit is exceeded', async assert => {
+    const nodes = [];
+    let chunks = 0;
+    const source = (function* () {
+        yield '<a>';
+        for (;;) {
+            chunks += 1;
+            yield 'endless text';
+        }
+    }());
+
+    try {
+        for await (let node of makeAsyncXMLParser({maxPendingLength: 100, positions: true})(source)) {
+            nodes.push(node);
+        }
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.code, 'PENDING_LIMIT_EXCEEDED');
+        assert.equal(err.position.start.offset, 3);
+    }
+
+    assert.equal(chunks, 9);
+});
+
+test('should yield batches of the nodes of each chunk', assert => {
+    expectEvents(assert,
+        ['<root><a>te', 'xt</a>', '<b', '/></root>'],
+        [
+            [['tagopen', 'root', '', ''], ['tagopen', 'a', '', '']],
+            [['text', 'text'], ['tagclose', 'a']],
+            [['tagopen', 'b', '', '/'], ['tagclose', 'root']]
+        ],
+        {batch: true}
+    );
+});
+
+test('should yield the nodes of a batch before throwing', assert => {
+    expectEvents(assert,
+        ['<root><a>', 'text</b></root>'],
+        [
+            [['tagopen', 'root', '', ''], ['tagopen', 'a', '', '']],
+            [['text', 'text']],
+            'XMLParseError: Unclosed tag: a'
+        ],
+        {batch: true}
+    );
+});
+
+test('should batch the nodes completed at the end of input', assert => {
+    expectEvents(assert,
+        ['<root>', 'text'],
+        [
+            [['tagopen', 'root', '', '']],
+            [['text', 'text'], ['warning', 'UNCLOSED_ELEMENTS', 'Unclosed tags: root'], ['tagclose', 'root']]
+        ],
+        {batch: true, recover: true}
+    );
+});
+
+test('should not read the next chunk until a batch is consumed', async assert => {
+    const read = [];
+    const source = (function* () {
+        for (const chunk of ['<root>', '<a/>', '</root>']) {
+            read.push(chunk);
+            yield chunk;
+        }
+    }());
+    const iterator = makeAsyncXMLParser({batch: true})(source);
+
+    assert.deepEqual((await iterator.next()).value, [['tagopen', 'root', '', '']]);
+    await delay(10);
+    assert.deepEqual(read, ['<root>']);
+    assert.deepEqual((await iterator.next()).value, [['tagopen', 'a', '', '/']]);
+    assert.deepEqual(read, ['<root>', '<a/>']);
+    await iterator.return();
+});
+
+test('should parse synchronously', assert => {
+    const parser = makeSyncXMLParser({parseAttributes: true});
+    const source = (function* () {
+        yield Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><a x="1">caf');
+        yield Buffer.from('é</a>', 'latin1');
+    }());
+
+    assert.deepEqual([...parser(source)], [
+        ['xmldecl', '1.0', 'ISO-8859-1', ''],
+        ['tagopen', 'a', {x: '1'}, ''],
+        ['text', 'café'],
+        ['tagclose', 'a']
+    ]);
+    assert.deepEqual([...parser('<b/>')], [['tagopen', 'b', {}, '/']]);
+    assert.throws(() => [...parser('<a>')], /^XMLParseError: Unclosed tags: a$/);
+    assert.end();
+});
+
+test('should yield object nodes', assert => {
+    expectEvents(assert,
+        '<?xml version="1.0"?><!DOCTYPE a><a x="1"><!--c--><?pi k="v"?><b/>t<![CDATA[d]]></a>',
+        [
+            {type: 'xmldecl', version: '1.0', encoding: '', standalone: '', depth: 0},
+            {type: 'doctype', name: 'a', publicId: '', systemId: '', subset: '', depth: 0},
+            {type: 'tagopen', name: 'a', attrs: 'x="1"', selfClosing: false, depth: 0},
+            {type: 'comment', contents: 'c', depth: 1},
+            {type: 'processinginstruction', target: 'pi', data: 'k="v"', attrs: {k: 'v'}, depth: 1},
+            {type: 'tagopen', name: 'b', attrs: '', selfClosing: true, depth: 1},
+            {type: 'text', contents: 't', depth: 1},
+            {type: 'cdata', contents: 'd', depth: 1},
+            {type: 'tagclose', name: 'a', depth: 0}
+        ],
+        {objects: true}
+    );
+});
+
+test('should yield object nodes with the depth of closed elements', assert => {
+    expectEvents(assert,
+        '<a><b/><c><d></c></a>',
+        [
+            {type: 'tagopen', name: 'a', attrs: '', selfClosing: false, depth: 0},
+            {type: 'tagopen', name: 'b', attrs: '', selfClosing: true, depth: 1},
+            {type: 'tagclose', name: 'b', depth: 1},
+            {type: 'tagopen', name: 'c', attrs: '', selfClosing: false, depth: 1},
+            {type: 'tagopen', name: 'd', attrs: '', selfClosing: false, depth: 2},
+            {type: 'warning', code: 'TAG_MISMATCH', message: 'Unclosed tags: d', depth: 3},
+            {type: 'tagclose', name: 'd', depth: 2},
+            {type: 'tagclose', name: 'c', depth: 1},
+            {type: 'tagclose', name: 'a', depth: 0}
+        ],
+        {objects: true, alwaysTagClose: true, recover: true}
+    );
+});
+
+test('should yield object nodes with resolved names', assert => {
+    expectEvents(assert,
+        '<a:r xmlns:a="urn:a" a:x="1"></a:r>',
+        [
+            {
+                type: 'tagopen',
+                name: 'a:r',
+                attrs: 'xmlns:a="urn:a" a:x="1"',
+                selfClosing: false,
+                depth: 0,
+                resolvedName: {prefix: 'a', local: 'r', uri: 'urn:a'},
+                resolvedAttrs: {
+                    'xmlns:a': {prefix: 'xmlns', local: 'a', uri: 'http://www.w3.org/2000/xmlns/', value: 'urn:a'},
+                    'a:x': {prefix: 'a', local: 'x', uri: 'urn:a', value: '1'}
+                }
+            },
+            {type: 'tagclose', name: 'a:r', depth: 0, resolvedName: {prefix: 'a', local: 'r', uri: 'urn:a'}}
+        ],
+        {objects: true, namespaces: true}
+    );
+});
+
+test('should attach positions to object nodes', async assert => {
+    for (const variant of variants) {
+        const nodes = await parseWith(variant, ['<a>\n', 'text</a>'], {objects: true, positions: true});
+        assert.deepEqual(nodes.map(node => [node.type, node.position]), [
+            ['tagopen', {start: pos(0, 1, 1), end: pos(3, 1, 4)}],
+            ['text', {start: pos(3, 1, 4), end: pos(8, 2, 5)}],
+            ['tagclose', {start: pos(8, 2, 5), end: pos(12, 2, 9)}]
+        ], variant.name);
+    }
+});
+
+test('should preserve whitespace by default', assert => {
+    expectEvents(assert,
+        '<a>  x \n y  </a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', '  x \n y  '],
+            ['tagclose', 'a']
+        ]
+    );
+});
+
+test('should trim text nodes', assert => {
+    expectEvents(assert,
+        '<a>  x \n y  <b> \n </b></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'x \n y'],
+            ['tagopen', 'b', '', ''],
+            ['tagclose', 'b'],
+            ['tagclose', 'a']
+        ],
+        {whitespace: 'trim'}
+    );
+});
+
+test('should collapse whitespace in text nodes', assert => {
+    expectEvents(assert,
+        '<a>  x \n\t y  &amp;  z </a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'x y &amp; z'],
+            ['tagclose', 'a']
+        ],
+        {whitespace: 'collapse'}
+    );
+});
+
+test('should drop whitespace-only text nodes', assert => {
+    expectEvents(assert,
+        '<a>\n  <b> x </b>\n</a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['tagopen', 'b', '', ''],
+            ['text', ' x '],
+            ['tagclose', 'b'],
+            ['tagclose', 'a']
+        ],
+        {whitespace: 'drop'}
+    );
+});
+
+test('should apply whitespace modes to text at the end of input', assert => {
+    expectEvents(assert,
+        ['<a/>', '  x  '],
+        [
+            ['tagopen', 'a', '', '/'],
+            ['text', 'x']
+        ],
+        {whitespace: 'trim'}
+    );
+});
+
+test('should not change whitespace in CDATA sections', assert => {
+    expectEvents(assert,
+        '<a><![CDATA[  x  ]]></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['cdata', '  x  '],
+            ['tagclose', 'a']
+        ],
+        {whitespace: 'collapse'}
+    );
+});
+
+test('should honor inherited xml:space attributes', assert => {
+    expectEvents(assert,
+        '<a> 1 <b xml:space="preserve"> 2 <c> 3 </c><d xml:space=\'default\'> 4 </d></b> 5 </a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', '1'],
+            ['tagopen', 'b', 'xml:space="preserve"', ''],
+            ['text', ' 2 '],
+            ['tagopen', 'c', '', ''],
+            ['text', ' 3 '],
+            ['tagclose', 'c'],
+            ['tagopen', 'd', 'xml:space=\'default\'', ''],
+            ['text', '4'],
+            ['tagclose', 'd'],
+            ['tagclose', 'b'],
+            ['text', '5'],
+            ['tagclose', 'a']
+        ],
+        {whitespace: 'trim'}
+    );
+});
+
+test('should apply per-element whitespace overrides', assert => {
+    expectEvents(assert,
+        '<a> 1 <pre> 2 <b> 3 </b></pre><c xml:space="default"> 4 </c></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', ' 1 '],
+            ['tagopen', 'pre', '', ''],
+            ['text', '2'],
+            ['tagopen', 'b', '', ''],
+            ['text', '3'],
+            ['tagclose', 'b'],
+            ['tagclose', 'pre'],
+            ['tagopen', 'c', 'xml:space="default"', ''],
+            ['text', ' 4 '],
+            ['tagclose', 'c'],
+            ['tagclose', 'a']
+        ],
+        {whitespaceOverrides: {pre: 'trim'}}
+    );
+});
+
+test('should reject unknown whitespace modes', assert => {
+    assert.throws(() => makeSyncXMLParser({whitespace: 'squash'}), /Unknown whitespace mode: squash/);
+    assert.throws(() => makeSyncXMLParser({whitespaceOverrides: {a: 'x'}}), /Unknown whitespace mode: x/);
+    assert.end();
+});
+
+test('should coalesce text and CDATA sections', assert => {
+    expectEvents(assert,
+        '<a>x &amp; <![CDATA[<y> & ]]>z<b/>w</a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'x &amp; &lt;y&gt; &amp; z'],
+            ['tagopen', 'b', '', '/'],
+            ['text', 'w'],
+            ['tagclose', 'a']
+        ],
+        {coalesce: true}
+    );
+});
+
+test('should coalesce decoded character data', assert => {
+    expectEvents(assert,
+        '<a>x &amp; <![CDATA[<y> &amp; ]]>z</a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'x & <y> &amp; z'],
+            ['tagclose', 'a']
+        ],
+        {coalesce: true, decodeEntities: true}
+    );
+});
+
+test('should end character data runs with comments and processing instructions', assert => {
+    expectEvents(assert,
+        '<a>x<!-- c -->y<?pi?>z</a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'x'],
+            ['comment', ' c '],
+            ['text', 'y'],
+            ['processinginstruction', 'pi', '', {}],
+            ['text', 'z'],
+            ['tagclose', 'a']
+        ],
+        {coalesce: true}
+    );
+});
+
+test('should coalesce character data across excluded nodes', assert => {
+    expectEvents(assert,
+        '<a>x<!-- c -->y<?pi?><![CDATA[z]]></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'xyz'],
+            ['tagclose', 'a']
+        ],
+        {coalesce: true, include: ['tagopen', 'tagclose', 'text', 'cdata']}
+    );
+});
+
+test('should end character data runs with excluded tags', assert => {
+    expectEvents(assert,
+        '<r><a> x </a><b xml:space="preserve"> y <![CDATA[z]]></b></r>',
+        [
+            ['text', 'x'],
+            ['text', ' y z']
+        ],
+        {coalesce: true, whitespace: 'trim', include: ['text', 'cdata']}
+    );
+});
+
+test('should not coalesce character data without text nodes', assert => {
+    expectEvents(assert,
+        '<a>x<![CDATA[y]]><![CDATA[z]]></a>',
+        [
+            ['cdata', 'y'],
+            ['cdata', 'z']
+        ],
+        {coalesce: true, include: ['cdata']}
+    );
+});
+
+test('should coalesce character data at the end of input', assert => {
+    expectEvents(assert,
+        ['<a/>x', '<![CDATA[y]]>', 'z'],
+        [
+            ['tagopen', 'a', '', '/'],
+            ['text', 'xyz']
+        ],
+        {coalesce: true}
+    );
+});
+
+test('should apply the whitespace mode to coalesced character data', assert => {
+    expectEvents(assert,
+        '<p>price <![CDATA[<10]]> euro  <!-- c --> each</p>',
+        [
+            ['tagopen', 'p', '', ''],
+            ['text', 'price &lt;10 euro'],
+            ['comment', ' c '],
+            ['text', 'each'],
+            ['tagclose', 'p']
+        ],
+        {coalesce: true, whitespace: 'collapse'}
+    );
+});
+
+test('should trim coalesced character data as a whole', assert => {
+    expectEvents(assert,
+        '<a> a <![CDATA[b]]> c <b xml:space="preserve"> <![CDATA[ ]]></b>\n <![CDATA[  ]]></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['text', 'a b c'],
+            ['tagopen', 'b', 'xml:space="preserve"', ''],
+            ['text', '  '],
+            ['tagclose', 'b'],
+            ['tagclose', 'a']
+        ],
+        {coalesce: true, whitespace: 'trim'}
+    );
+});
+
+test('should drop empty coalesced character data', assert => {
+    expectEvents(assert,
+        '<a>\n  <![CDATA[ ]]>\n  <b/> x <![CDATA[y]]></a>',
+        [
+            ['tagopen', 'a', '', ''],
+            ['tagopen', 'b', '', '/'],
+            ['text', ' x y'],
+            ['tagclose', 'a']
+        ],
+        {coalesce: true, noEmptyText: true}
+    );
+});
+
+test('should attach positions and depths to coalesced character data', async assert => {
+    for (const variant of variants) {
+        const nodes = await parseWith(variant, ['<a>x\n<![CDA', 'TA[y]]>z</a>'], {coalesce: true, objects: true, positions: true});
+        assert.deepEqual(nodes[1], {
+            type: 'text',
+            contents: 'x\nyz',
+            depth: 1,
+            position: {start: pos(3, 1, 4), end: pos(19, 2, 15)}
+        }, variant.name);
+    }
+});
+
+/**
+ * Make an abort controller, or a minimal equivalent on versions of
+ * Node.js that do not have one.
+ */
+const makeAbortController = () => {
+    if (typeof global.AbortController === 'function') {
+        return new global.AbortController();
+    }
+
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+
+    return {
+        signal,
+        abort(reason) {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                signal.reason = reason;
+                listeners.forEach(listener => listener());
+            }
+        }
+    };
+};
+
+/**
+ * Make an async iterable of chunks recording whether the `return()`
+ * method of its iterator was called.
+ *
+ * @param {string[]} chunks Chunks to be iterated.
+ * @param {number} [stallAt] Index of a chunk that never comes.
+ */
+const trackedSource = (chunks, stallAt = -1) => {
+    let index = 0;
+    const source = {
+        returned: false,
+        [Symbol.asyncIterator]() {
+            return source;
+        },
+        next() {
+            if (source.returned || index === chunks.length) {
+                return Promise.resolve({done: true, value: undefined});
+            }
+
+            if (index === stallAt) {
+                return new Promise(() => {});
+            }
+
+            return Promise.resolve({done: false, value: chunks[index++]});
+        },
+        return() {
+            source.returned = true;
+            return Promise.resolve({done: true, value: undefined});
+        }
+    };
+
+    return source;
+};
+
+test('should return the source iterator when the consumer exits early', async assert => {
+    for (const options of [{}, {signal: makeAbortController().signal}]) {
+        const source = trackedSource(['<a><b/>', '<c/></a>']);
+
+        for await (const node of makeAsyncXMLParser(options)(source)) {
+            if (node[0] === 'tagopen' && node[1] === 'b') {
+                break;
+            }
+        }
+
+        assert.true(source.returned);
+    }
+});
+
+test('should return the source iterator when parsing fails', async assert => {
+    for (const options of [{}, {signal: makeAbortController().signal}]) {
+        const source = trackedSource(['<a></b>', '<c/></a>']);
+
+        try {
+            const nodes = makeAsyncXMLParser(options)(source);
+            while (!(await nodes.next()).done) {
+                // Ignore nodes
+            }
+            assert.fail('should have thrown');
+        } catch (err) {
+            assert.equal(err.code, 'TAG_MISMATCH');
+        }
+
+        assert.true(source.returned);
+    }
+});
+
+test('should not return the source iterator at its end', async assert => {
+    const source = trackedSource(['<a>', '</a>']);
+    const nodes = [];
+
+    for await (const node of makeAsyncXMLParser({signal: makeAbortController().signal})(source)) {
+        nodes.push(node);
+    }
+
+    assert.deepEqual(nodes, [['tagopen', 'a', '', ''], ['tagclose', 'a']]);
+    assert.false(source.returned);
+});
+
+test('should abort while waiting for a chunk', async assert => {
+    const controller = makeAbortController();
+    const source = trackedSource(['<a>', '</a>'], 1);
+    const nodes = [];
+
+    setTimeout(() => controller.abort(), 10);
+
+    try {
+        for await (const node of makeAsyncXMLParser({signal: controller.signal})(source)) {
+            nodes.push(node);
+        }
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.name, 'AbortError');
+    }
+
+    assert.deepEqual(nodes, [['tagopen', 'a', '', '']]);
+    assert.true(source.returned);
+});
+
+test('should abort between nodes', async assert => {
+    const controller = makeAbortController();
+    const source = trackedSource(['<a><b/><c/></a>']);
+    const reason = new Error('stop');
+    const nodes = [];
+
+    try {
+        for await (const node of makeAsyncXMLParser()(source, {signal: controller.signal})) {
+            nodes.push(node);
+            controller.abort(reason);
+        }
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err, reason);
+    }
+
+    assert.deepEqual(nodes, [['tagopen', 'a', '', '']]);
+    assert.true(source.returned);
+});
+
+test('should not parse with an aborted signal', async assert => {
+    const controller = makeAbortController();
+    controller.abort();
+
+    for (const variant of variants) {
+        const results = await parseWith(variant, '<a/>', {signal: controller.signal});
+        assert.equal(results.length, 1, variant.name);
+        assert.true(/AbortError/.test(results[0]), variant.name);
+    }
+});
+
+test('should prefer the signal given to the parse', async assert => {
+    const controller = makeAbortController();
+    controller.abort();
+    const parser = makeAsyncXMLParser({signal: controller.signal});
+    const nodes = [];
+
+    for await (const node of parser('<a/>', {signal: makeAbortController().signal})) {
+        nodes.push(node);
+    }
+
+    assert.deepEqual(nodes, [['tagopen', 'a', '', '/']]);
+});
+
+test('should abort synchronous parsing', assert => {
+    const controller = makeAbortController();
+    let returned = false;
+    const source = (function* () {
+        try {
+            yield '<a>';
+            yield '<b/>';
+            yield '</a>';
+        } finally {
+            returned = true;
+        }
+    }());
+    const nodes = [];
+
+    assert.throws(() => {
+        for (const node of makeSyncXMLParser({signal: controller.signal})(source)) {
+            nodes.push(node);
+            controller.abort();
+        }
+    }, /abort/i);
+
+    assert.deepEqual(nodes, [['tagopen', 'a', '', '']]);
+    assert.true(returned);
+    assert.end();
+});
+
+/**
+ * Split a string or a buffer in chunks of the given size.
+ *
+ * @param source String or buffer to split.
+ * @param size Size of the chunks.
+ */
+const chunked = (source, size) => {
+    const chunks = [];
+
+    for (let i = 0; i < source.length; i += size) {
+        chunks.push(source.slice(i, i + size));
+    }
+
+    return chunks;
+};
+
+/**
+ * Serialize nodes as JSON, including the positions of tuples.
+ *
+ * @param nodes Nodes to serialize.
+ */
+const nodesJSON = nodes => JSON.stringify(nodes.map(node =>
+    Array.isArray(node) ? [node, node.position] : node
+));
+
+test('should resume from checkpoints', async assert => {
+    const xml = tags.stripIndent`
+        <?xml version="1.0"?>
+        <!DOCTYPE r>
+        <r xmlns="urn:a" xmlns:b="urn:b">
+            <b:x a="1">t &amp; u<![CDATA[c]]>v<!--c--><?pi d?></b:x>
+            <y xmlns="" xml:space="preserve">  é  </y><z/>
+        </r>
+    `;
+    const optionSets = [
+        {alwaysTagClose: true, positions: true},
+        {namespaces: true, parseAttributes: true, decodeEntities: true, whitespace: 'trim'},
+        {coalesce: true, objects: true, positions: true},
+        {recover: true, include: ['tagopen', 'tagclose', 'text']}
+    ];
+
+    for (const options of optionSets) {
+        for (const source of [xml, Buffer.from(xml)]) {
+            const chunks = chunked(source, 7);
+            const parser = makeAsyncXMLParser(options);
+            const expected = [];
+
+            for await (const node of parser(chunks)) {
+                expected.push(node);
+            }
+
+            for (let count = 0; count <= expected.length; ++count) {
+                // Take a checkpoint after the given number of nodes
+                const nodes = parser(chunks);
+                let checkpoint = nodes.checkpoint();
+                let seen = 0;
+
+                while (seen < count) {
+                    await nodes.next();
+                    seen += 1;
+                    checkpoint = nodes.checkpoint();
+                }
+
+                await nodes.return();
+                checkpoint = JSON.parse(JSON.stringify(checkpoint));
+
+                const rest = chunked(source.slice(checkpoint.offset), 5);
+                const resumed = [];
+
+                for await (const node of parser(rest, {resume: checkpoint})) {
+                    resumed.push(node);
+                }
+
+                const resumedSync = [...makeSyncXMLParser(options)(rest, {resume: checkpoint})];
+                const remaining = nodesJSON(expected.slice(count));
+
+                assert.equal(nodesJSON(resumed), remaining);
+                assert.equal(nodesJSON(resumedSync), remaining);
+            }
+        }
+    }
+});
+
+test('should reject checkpoints of other versions', assert => {
+    const parser = makeSyncXMLParser();
+    const checkpoint = Object.assign(parser('<a>').checkpoint(), {version: 0});
+
+    assert.throws(() => [...parser('</a>', {resume: checkpoint})], /Unsupported checkpoint version: 0/);
+    assert.end();
+});
+
+test('should keep the DOCTYPE declaration in checkpoints', assert => {
+    const parser = makeSyncXMLParser({strict: true});
+    const source = '<!DOCTYPE r><!DOCTYPE r><r/>';
+    const nodes = parser(source);
+    assert.deepEqual(nodes.next().value, ['doctype', 'r', '', '', '']);
+    const checkpoint = JSON.parse(JSON.stringify(nodes.checkpoint()));
+
+    assert.throws(
+        () => [...parser(source.slice(checkpoint.offset), {resume: checkpoint})],
+        /Unexpected second DOCTYPE declaration/
+    );
+    assert.end();
+});
@@ -0,0 +1,60 @@
+/**
+ * Error thrown when an XML document cannot be parsed.
+ *
+ * The `code` property identifies the kind of error and is stable
+ * across versions, unlike the message:
+ *
+ * - `UNCLOSED_CDATA`, `UNCLOSED_COMMENT`, `UNCLOSED_PROCESSING_INSTRUCTION`,
+ *   `UNCLOSED_DOCTYPE`, `UNCLOSED_TAG`: the input ended inside a node.
+ * - `UNCLOSED_ELEMENTS`: the input ended while elements were still open.
+ * - `TAG_MISMATCH`: a closing tag does not match the last opened tag.
+ * - `INVALID_COMMENT`: a comment contains `--`.
+ * - `INVALID_DOCTYPE`: a DOCTYPE declaration is malformed.
+ * - `INVALID_TAG_NAME`: a tag name starts with whitespace, or is not
+ *   a valid name in strict mode.
+ * - `UNRECOGNIZED_SEQUENCE`: an unknown `<!` markup declaration.
+ * - `INVALID_ATTRIBUTE`, `MISSING_ATTRIBUTE_VALUE`, `UNQUOTED_ATTRIBUTE_VALUE`,
+ *   `DUPLICATE_ATTRIBUTE`: the attributes of a tag are malformed.
+ * - `INVALID_ENTITY`, `UNKNOWN_ENTITY`, `INVALID_CHAR_REFERENCE`: an entity
+ *   or character reference cannot be decoded.
+ * - `INVALID_QNAME`, `UNDECLARED_PREFIX`, `INVALID_NAMESPACE_DECLARATION`:
+ *   a name or a namespace declaration is not namespace-valid.
+ * - `UNSUPPORTED_ENCODING`: the encoding of the document cannot be decoded.
+ * - `INPUT_LIMIT_EXCEEDED`, `PENDING_LIMIT_EXCEEDED`, `TOKEN_LIMIT_EXCEEDED`,
+ *   `DEPTH_LIMIT_EXCEEDED`, `ATTRIBUTE_LIMIT_EXCEEDED`: a resource limit
+ *   set in the parser options was exceeded.
+ * - `INVALID_PROCESSING_INSTRUCTION`: a processing instruction has no target.
+ * - `INVALID_XML_DECLARATION`, `MISPLACED_XML_DECLARATION`: the XML declaration
+ *   is malformed, or its reserved target is used elsewhere than at the start
+ *   of the document.
+ * - `MULTIPLE_ROOTS`, `MISSING_ROOT`, `TEXT_OUTSIDE_ROOT`, `INVALID_TEXT`,
+ *   `MISPLACED_DOCTYPE`: the document is not well-formed (only checked
+ *   in strict mode).
+ *
+ * Errors thrown by the parser also carry context about where they happened.
+ *
+ * @prop {string} code - Kind of error.
+ * @prop {string} [expected] - For `TAG_MISMATCH`, the name of the last opened tag.
+ * @prop {string} [actual] - For `TAG_MISMATCH`, the name of the closing tag.
+ * @prop {string[]} [tagStack] - Names of the elements that were open
+ * when the error happened, outermost first.
+ * @prop {string} [excerpt] - Part of the input around the start of the
+ * node where the error happened.
+ * @prop {Location} [position] - Location of the node where the error
+ * happened, if the `positions` option is set, even to 'errors'.
+ */
+class XMLParseError extends Error {
+    /**
+     * @param {string} code Kind of error.
+     * @param {string} message Human-readable description of the error.
+     * @param {Object} [details] Additional properties of the error.
+     */
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'XMLParseError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+module.exports = XMLParseError;
@@ -0,0 +1,20 @@
+/**
+ * Check that a node given to a function working on the nodes output
+ * by a parser is a single array node, since object nodes and batches
+ * of nodes would otherwise be silently skipped.
+ *
+ * @param {*} node The node.
+ * @param {string} name Name of the function, for the error message.
+ * @throws {TypeError} If the node is not an array node.
+ */
+module.exports = function checkNode(node, name) {
+    if (Array.isArray(node) && typeof node[0] === 'string') {
+        return;
+    }
+
+    if (Array.isArray(node)) {
+        throw new TypeError(`${name} expects single nodes, not batches (batch option)`);
+    }
+
+    throw new TypeError(`${name} expects array nodes, not object nodes (objects option)`);
+};
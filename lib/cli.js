@@ -0,0 +1,367 @@
+const fs = require('fs');
+
+const makeAsyncXMLParser = require('./Saxophone');
+const select = require('./select');
+
+const usage = `Usage: async-saxophone [options] [file...]
+
+Parse XML files, or the standard input if no file is given or for "-",
+and write their nodes as newline-delimited JSON.
+
+Options:
+  --include <types>     Only output nodes of the given comma-separated types
+  --select <path>       Only output the nodes of the elements matching the path,
+                        such as /feed/entry or //record (may be repeated)
+  --count               Output statistics about the nodes of each file instead
+  --no-empty-text       Do not output text nodes made only of whitespace
+  --always-tag-close    Output a tagclose node for self-closing tags
+  --parse-attributes    Output attributes as objects
+  --decode-entities     Decode entities in text and attribute values
+  --namespaces          Resolve the namespaces of tags and attributes
+  --coalesce            Merge adjacent text and CDATA nodes
+  --strict              Check well-formedness rules
+  --recover             Repair problems instead of failing, with warning nodes
+  --encoding <name>     Encoding of the input, overriding the detected one
+  --objects             Output nodes as objects rather than arrays
+  --positions           Attach positions to nodes (implies --objects)
+  -h, --help            Show this help
+
+Exit status is 0 on success, 1 if an input cannot be read or parsed,
+and 2 if the command line is invalid.`;
+
+/**
+ * Types of the nodes output by the parser.
+ *
+ * @private
+ */
+const nodeTypes = [
+    'tagopen', 'tagclose', 'text', 'cdata', 'comment',
+    'processinginstruction', 'xmldecl', 'doctype', 'warning'
+];
+
+/**
+ * Command line flags mapped to the parser option they set.
+ *
+ * @private
+ */
+const flags = {
+    'no-empty-text': 'noEmptyText',
+    'always-tag-close': 'alwaysTagClose',
+    'parse-attributes': 'parseAttributes',
+    'decode-entities': 'decodeEntities',
+    'namespaces': 'namespaces',
+    'coalesce': 'coalesce',
+    'strict': 'strict',
+    'recover': 'recover',
+    'objects': 'objects',
+    'positions': 'positions',
+    'count': 'count',
+    'help': 'help'
+};
+
+/**
+ * Command line options taking a value, mapped to the property they set.
+ *
+ * @private
+ */
+const valueOptions = {
+    'include': 'include',
+    'select': 'select',
+    'encoding': 'encoding'
+};
+
+/**
+ * Error thrown when the command line is invalid.
+ *
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse the arguments of the command line.
+ *
+ * @private
+ * @param {string[]} args The arguments, without the node executable
+ * and the script path.
+ * @throws {UsageError} If the arguments are not valid.
+ * @return {Object} The options set by the arguments, with the list of
+ * input files in `files`.
+ */
+const parseArgs = args => {
+    const parsed = {files: [], include: null, select: []};
+    let onlyFiles = false;
+
+    for (let i = 0; i < args.length; ++i) {
+        const arg = args[i];
+
+        if (onlyFiles || arg === '-' || !arg.startsWith('-')) {
+            parsed.files.push(arg);
+            continue;
+        }
+
+        if (arg === '--') {
+            onlyFiles = true;
+            continue;
+        }
+
+        if (arg === '-h') {
+            parsed.help = true;
+            continue;
+        }
+
+        if (!arg.startsWith('--')) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+        if (Object.prototype.hasOwnProperty.call(flags, name)) {
+            if (inlineValue !== undefined) {
+                throw new UsageError(`Option --${name} does not take a value`);
+            }
+
+            parsed[flags[name]] = true;
+            continue;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(valueOptions, name)) {
+            throw new UsageError(`Unknown option: --${name}`);
+        }
+
+        let value = inlineValue;
+
+        if (value === undefined) {
+            if (i + 1 === args.length) {
+                throw new UsageError(`Missing value for option --${name}`);
+            }
+
+            value = args[++i];
+        }
+
+        switch (valueOptions[name]) {
+        case 'include': {
+            const types = value.split(',').map(type => type.trim()).filter(type => type.length !== 0);
+            const unknown = types.find(type => !nodeTypes.includes(type));
+
+            if (unknown !== undefined) {
+                throw new UsageError(`Unknown node type: ${unknown}`);
+            }
+
+            parsed.include = (parsed.include || []).concat(types);
+            break;
+        }
+        case 'select':
+            parsed.select.push(value);
+            break;
+        default:
+            parsed[valueOptions[name]] = value;
+        }
+    }
+
+    if (parsed.positions) {
+        parsed.objects = true;
+    }
+
+    if (parsed.objects && parsed.select.length !== 0) {
+        throw new UsageError('Option --select cannot be used with --objects or --positions');
+    }
+
+    for (const path of parsed.select) {
+        try {
+            select.parsePath(path);
+        } catch (err) {
+            throw new UsageError(err.message);
+        }
+    }
+
+    if (parsed.files.length === 0) {
+        parsed.files.push('-');
+    }
+
+    return parsed;
+};
+
+/**
+ * Write to a stream, waiting for it to drain if its buffer is full.
+ *
+ * @private
+ * @param {Writable} stream The stream to write to.
+ * @param {string} data Data to be written.
+ * @return {Promise} A promise resolved once more data can be written.
+ */
+const write = (stream, data) => new Promise((resolve, reject) => {
+    if (stream.write(data)) {
+        resolve();
+        return;
+    }
+
+    const onDrain = () => {
+        stream.removeListener('error', onError);
+        resolve();
+    };
+
+    const onError = err => {
+        stream.removeListener('drain', onDrain);
+        reject(err);
+    };
+
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+});
+
+/**
+ * Parse an input, yielding arrays of the nodes to be output.
+ *
+ * @private
+ * @param {Readable} input The input stream.
+ * @param {Object} args Parsed command line arguments.
+ * @yields {array[]} Nodes to be output.
+ */
+async function* parseInput(input, args) {
+    const selecting = args.select.length !== 0;
+    let include = args.include;
+
+    // Elements can only be selected from their opening and closing tags
+    if (selecting && include !== null) {
+        include = include.concat(['tagopen', 'tagclose']);
+    }
+
+    const parser = makeAsyncXMLParser({
+        include: include || undefined,
+        noEmptyText: args.noEmptyText,
+        alwaysTagClose: args.alwaysTagClose,
+        parseAttributes: args.parseAttributes,
+        decodeEntities: args.decodeEntities,
+        namespaces: args.namespaces,
+        coalesce: args.coalesce,
+        strict: args.strict,
+        recover: args.recover,
+        encoding: args.encoding,
+        objects: args.objects,
+        positions: args.positions || 'errors',
+        batch: !selecting
+    });
+
+    if (!selecting) {
+        yield* parser(input);
+        return;
+    }
+
+    for await (const node of select(parser(input), args.select, {alwaysTagClose: args.alwaysTagClose})) {
+        if (args.include === null || args.include.includes(node[0])) {
+            yield [node];
+        }
+    }
+}
+
+/**
+ * Convert a node to a line of output.
+ *
+ * @private
+ * @param {array|Object} node The node.
+ * @return {string} The node as JSON, followed by a newline.
+ */
+const toLine = node => JSON.stringify(node) + '\n';
+
+/**
+ * Write the nodes of an input as newline-delimited JSON.
+ *
+ * @private
+ * @param {Readable} input The input stream.
+ * @param {Writable} stdout Stream to write to.
+ * @param {Object} args Parsed command line arguments.
+ */
+const writeNodes = async (input, stdout, args) => {
+    for await (const nodes of parseInput(input, args)) {
+        if (nodes.length !== 0) {
+            await write(stdout, nodes.map(toLine).join(''));
+        }
+    }
+};
+
+/**
+ * Write statistics about the nodes of an input as a line of JSON:
+ * the total number of nodes, the number of nodes of each type and
+ * the number of elements of each name.
+ *
+ * @private
+ * @param {Readable} input The input stream.
+ * @param {Writable} stdout Stream to write to.
+ * @param {Object} args Parsed command line arguments.
+ * @param {string} file Name of the input.
+ */
+const writeCount = async (input, stdout, args, file) => {
+    const stats = {file, nodes: 0, types: {}, elements: {}};
+
+    for await (const nodes of parseInput(input, args)) {
+        for (const node of nodes) {
+            const type = args.objects ? node.type : node[0];
+            stats.nodes += 1;
+            stats.types[type] = (stats.types[type] || 0) + 1;
+
+            if (type === 'tagopen') {
+                const name = args.objects ? node.name : node[1];
+                stats.elements[name] = (stats.elements[name] || 0) + 1;
+            }
+        }
+    }
+
+    await write(stdout, JSON.stringify(stats) + '\n');
+};
+
+/**
+ * Run the command line tool.
+ *
+ * @param {string[]} args Command line arguments, without the node
+ * executable and the script path.
+ * @param {Object} io Standard streams of the process.
+ * @param {Readable} io.stdin Standard input, read for the `-` file.
+ * @param {Writable} io.stdout Standard output, where nodes are written.
+ * @param {Writable} io.stderr Standard error, where errors are written.
+ * @return {Promise<number>} The exit status.
+ */
+module.exports = async function main(args, {stdin, stdout, stderr}) {
+    let parsed;
+
+    try {
+        parsed = parseArgs(args);
+    } catch (err) {
+        if (!(err instanceof UsageError)) {
+            throw err;
+        }
+
+        stderr.write(`async-saxophone: ${err.message}\n${usage}\n`);
+        return 2;
+    }
+
+    if (parsed.help) {
+        await write(stdout, usage + '\n');
+        return 0;
+    }
+
+    for (const file of parsed.files) {
+        const input = file === '-' ? stdin : fs.createReadStream(file);
+
+        try {
+            if (parsed.count) {
+                await writeCount(input, stdout, parsed, file);
+            } else {
+                await writeNodes(input, stdout, parsed);
+            }
+        } catch (err) {
+            if (input !== stdin) {
+                input.destroy();
+            }
+
+            // The reader of the output went away, which is not an error
+            if (err.code === 'EPIPE') {
+                return 0;
+            }
+
+            stderr.write(`async-saxophone: ${file === '-' ? 'stdin' : file}: ${err.message}\n`);
+            return 1;
+        }
+    }
+
+    return 0;
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {PassThrough} = require('stream');
+const test = require('tape-async');
+
+const main = require('./cli');
+
+/**
+ * Run the command line tool with the given input on stdin.
+ *
+ * @param {string[]} args Command line arguments.
+ * @param {string} [input] Data read from stdin.
+ * @return {Promise<Object>} The exit status and the output written
+ * to stdout and stderr.
+ */
+const run = async (args, input = '') => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    const output = {stdout: '', stderr: ''};
+
+    stdout.on('data', data => {
+        output.stdout += data;
+    });
+
+    stderr.on('data', data => {
+        output.stderr += data;
+    });
+
+    stdin.end(input);
+    output.status = await main(args, {stdin, stdout, stderr});
+    return output;
+};
+
+/**
+ * Parse lines of JSON.
+ *
+ * @param {string} output Newline-delimited JSON.
+ * @return {Array} The parsed values.
+ */
+const lines = output => output.split('\n').filter(line => line.length !== 0).map(line => JSON.parse(line));
+
+test('should write nodes as NDJSON', async assert => {
+    const {status, stdout} = await run([], '<a x="1"><b>hi</b><c/></a>');
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), [
+        ['tagopen', 'a', 'x="1"', ''],
+        ['tagopen', 'b', '', ''],
+        ['text', 'hi'],
+        ['tagclose', 'b'],
+        ['tagopen', 'c', '', '/'],
+        ['tagclose', 'a']
+    ]);
+});
+
+test('should pass options to the parser', async assert => {
+    const {status, stdout} = await run(
+        ['--include', 'tagopen,tagclose', '--include=text', '--no-empty-text', '--always-tag-close'],
+        '<a>\n  <b/>\n  <!-- c --></a>'
+    );
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), [
+        ['tagopen', 'a', '', ''],
+        ['tagopen', 'b', '', '/'],
+        ['tagclose', 'b'],
+        ['tagclose', 'a']
+    ]);
+});
+
+test('should write object nodes', async assert => {
+    const {stdout} = await run(['--objects'], '<a/>');
+    assert.deepEqual(lines(stdout), [
+        {type: 'tagopen', name: 'a', attrs: '', selfClosing: true, depth: 0}
+    ]);
+
+    const {stdout: withPositions} = await run(['--positions'], '<a/>');
+    assert.deepEqual(lines(withPositions), [{
+        type: 'tagopen', name: 'a', attrs: '', selfClosing: true, depth: 0,
+        position: {
+            start: {offset: 0, line: 1, column: 1},
+            end: {offset: 4, line: 1, column: 5}
+        }
+    }]);
+});
+
+test('should select elements', async assert => {
+    const xml = '<r><a id="1">x</a><b><a id="2"/></b><c>y</c></r>';
+
+    const {stdout} = await run(['--select', '/r/a', '--select', '//c'], xml);
+    assert.deepEqual(lines(stdout), [
+        ['tagopen', 'a', 'id="1"', ''],
+        ['text', 'x'],
+        ['tagclose', 'a'],
+        ['tagopen', 'c', '', ''],
+        ['text', 'y'],
+        ['tagclose', 'c']
+    ]);
+
+    const {stdout: texts} = await run(['--select', '//a', '--include', 'text'], xml);
+    assert.deepEqual(lines(texts), [['text', 'x']]);
+});
+
+test('should count nodes', async assert => {
+    const {status, stdout} = await run(['--count'], '<a><b>x</b><b/><!-- c --></a>');
+    assert.equal(status, 0);
+    assert.deepEqual(lines(stdout), [{
+        file: '-',
+        nodes: 7,
+        types: {tagopen: 3, tagclose: 2, text: 1, comment: 1},
+        elements: {a: 1, b: 2}
+    }]);
+});
+
+test('should read files', async assert => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'async-saxophone-'));
+    const first = path.join(dir, 'first.xml');
+    const second = path.join(dir, 'second.xml');
+    fs.writeFileSync(first, '<a/>');
+    fs.writeFileSync(second, '<b>x</b>');
+
+    try {
+        const {status, stdout} = await run(['--count', first, '-', second], '<c/>');
+        assert.equal(status, 0);
+        assert.deepEqual(lines(stdout).map(stats => [stats.file, stats.nodes]), [
+            [first, 1],
+            ['-', 1],
+            [second, 3]
+        ]);
+    } finally {
+        fs.unlinkSync(first);
+        fs.unlinkSync(second);
+        fs.rmdirSync(dir);
+    }
+});
+
+test('should fail with the position of parse errors', async assert => {
+    const {status, stdout, stderr} = await run([], '<a>\n<b>x</c></a>');
+    assert.equal(status, 1);
+    assert.deepEqual(lines(stdout), [
+        ['tagopen', 'a', '', ''],
+        ['text', '\n'],
+        ['tagopen', 'b', '', ''],
+        ['text', 'x']
+    ]);
+    assert.equal(stderr, 'async-saxophone: stdin: Unclosed tag: b (line 2, column 5)\n');
+
+    const {stderr: positioned} = await run(['--positions'], '<a>\n<b>x</c></a>');
+    assert.equal(positioned, 'async-saxophone: stdin: Unclosed tag: b (line 2, column 5)\n');
+});
+
+test('should fail on unreadable files', async assert => {
+    const {status, stderr} = await run([path.join(os.tmpdir(), 'async-saxophone-missing.xml')]);
+    assert.equal(status, 1);
+    assert.true(stderr.includes('ENOENT'));
+});
+
+test('should reject invalid command lines', async assert => {
+    for (const args of [
+        ['--bogus'],
+        ['-x'],
+        ['--include', 'tag'],
+        ['--include'],
+        ['--count=yes'],
+        ['--select', 'a[b]'],
+        ['--select', '//a', '--objects']
+    ]) {
+        const {status, stdout, stderr} = await run(args);
+        assert.equal(status, 2, args.join(' '));
+        assert.equal(stdout, '');
+        assert.true(stderr.startsWith('async-saxophone: '));
+    }
+});
+
+test('should show help', async assert => {
+    const {status, stdout} = await run(['--help']);
+    assert.equal(status, 0);
+    assert.true(stdout.startsWith('Usage: async-saxophone'));
+});
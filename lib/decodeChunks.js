@@ -0,0 +1,399 @@
+const {StringDecoder} = require('string_decoder');
+
+const XMLParseError = require('./XMLParseError');
+
+/**
+ * Encodings that can be decoded, mapped from their lowercase names.
+ * `utf16` stands for UTF-16 of an endianness given by the byte order mark.
+ *
+ * @private
+ */
+const encodings = {
+    'utf-8': 'utf8',
+    'utf8': 'utf8',
+    'utf-16': 'utf16',
+    'utf16': 'utf16',
+    'utf-16le': 'utf16le',
+    'utf16le': 'utf16le',
+    'utf-16be': 'utf16be',
+    'utf16be': 'utf16be',
+    'iso-8859-1': 'latin1',
+    'iso_8859-1': 'latin1',
+    'latin1': 'latin1',
+    'latin-1': 'latin1',
+    'l1': 'latin1',
+    'us-ascii': 'latin1',
+    'ascii': 'latin1'
+};
+
+/**
+ * Maximum number of bytes to read while looking for the end of the
+ * XML declaration, after which the encoding defaults to UTF-8.
+ *
+ * @private
+ */
+const maxDeclarationLength = 1024;
+
+/**
+ * Get the canonical name of an encoding.
+ *
+ * @private
+ * @param {string} name Name of the encoding, as given by the user
+ * or in the XML declaration.
+ * @throws {XMLParseError} If the encoding is not supported.
+ * @return {string} Canonical name of the encoding.
+ */
+const normalizeEncoding = name => {
+    const encoding = encodings[name.toLowerCase()];
+
+    if (encoding === undefined) {
+        throw new XMLParseError(
+            'UNSUPPORTED_ENCODING',
+            `Unsupported encoding: ${name}`
+        );
+    }
+
+    return encoding;
+};
+
+/**
+ * Check whether a buffer starts with the given bytes.
+ *
+ * @private
+ * @param {Buffer} bytes Buffer to check.
+ * @param {number[]} prefix Expected bytes.
+ * @return {boolean}
+ */
+const startsWith = (bytes, prefix) =>
+    bytes.length >= prefix.length &&
+    prefix.every((byte, index) => bytes[index] === byte);
+
+/**
+ * Detect the byte order mark at the start of a document.
+ *
+ * @private
+ * @param {Buffer} bytes First bytes of the document.
+ * @return {Object|null} Encoding and length of the byte order mark,
+ * or null if there is none.
+ */
+const detectBOM = bytes => {
+    if (startsWith(bytes, [0xEF, 0xBB, 0xBF])) {
+        return {encoding: 'utf8', length: 3};
+    }
+
+    if (startsWith(bytes, [0xFE, 0xFF])) {
+        return {encoding: 'utf16be', length: 2};
+    }
+
+    if (startsWith(bytes, [0xFF, 0xFE])) {
+        return {encoding: 'utf16le', length: 2};
+    }
+
+    return null;
+};
+
+/**
+ * Detect the encoding of a document from its first bytes, following
+ * appendix F of the XML spec: byte order mark, then the first
+ * characters of the document, then the encoding declaration.
+ *
+ * @private
+ * @param {Buffer} bytes First bytes of the document.
+ * @param {boolean} final Whether no more bytes are available.
+ * @return {Object|null} Encoding and length of the byte order mark,
+ * or null if more bytes are needed.
+ */
+const detectEncoding = (bytes, final) => {
+    if (bytes.length < 4 && !final) {
+        return null;
+    }
+
+    const bom = detectBOM(bytes);
+
+    if (bom !== null) {
+        return bom;
+    }
+
+    if (startsWith(bytes, [0x3C, 0x00, 0x3F, 0x00])) {
+        return {encoding: 'utf16le', length: 0};
+    }
+
+    if (startsWith(bytes, [0x00, 0x3C, 0x00, 0x3F])) {
+        return {encoding: 'utf16be', length: 0};
+    }
+
+    // ASCII-compatible document, the XML declaration may name the encoding
+    const start = bytes.toString('latin1', 0, maxDeclarationLength);
+
+    if (!start.startsWith('<?xml')) {
+        if (!final && '<?xml'.startsWith(start)) {
+            return null;
+        }
+
+        return {encoding: 'utf8', length: 0};
+    }
+
+    const declarationEnd = start.indexOf('?>');
+
+    if (declarationEnd === -1) {
+        if (!final && bytes.length < maxDeclarationLength) {
+            return null;
+        }
+
+        return {encoding: 'utf8', length: 0};
+    }
+
+    const match = /\sencoding\s*=\s*(["'])([^"']*)\1/.exec(
+        start.slice(0, declarationEnd)
+    );
+
+    if (match === null) {
+        return {encoding: 'utf8', length: 0};
+    }
+
+    const encoding = normalizeEncoding(match[2]);
+
+    // A UTF-16 declaration cannot be read from ASCII-compatible bytes
+    if (encoding.startsWith('utf16')) {
+        return {encoding: 'utf8', length: 0};
+    }
+
+    return {encoding, length: 0};
+};
+
+/**
+ * Create a function that decodes successive chunks of bytes in the given
+ * encoding, keeping incomplete characters until the next chunk.
+ *
+ * @private
+ * @param {string} encoding Canonical name of the encoding.
+ * @return {Object} A decoder with `write(bytes)` and `end()` methods
+ * that return the decoded text.
+ */
+const makeBytesDecoder = encoding => {
+    if (encoding !== 'utf16be') {
+        return new StringDecoder(encoding);
+    }
+
+    // Swap bytes to decode as little-endian, keeping any odd byte
+    // for the next chunk
+    const decoder = new StringDecoder('utf16le');
+    let oddByte = null;
+
+    return {
+        write(bytes) {
+            if (oddByte !== null) {
+                bytes = Buffer.concat([oddByte, bytes]);
+                oddByte = null;
+            }
+
+            if (bytes.length % 2 === 1) {
+                oddByte = bytes.slice(bytes.length - 1);
+                bytes = bytes.slice(0, bytes.length - 1);
+            }
+
+            return decoder.write(Buffer.from(bytes).swap16());
+        },
+
+        end() {
+            return decoder.end();
+        }
+    };
+};
+
+/**
+ * Create a decoder for the chunks of a document. String chunks are passed
+ * through, except for a leading byte order mark, while binary chunks (Buffer, Uint8Array or ArrayBuffer) are
+ * decoded in the given encoding, or in the encoding detected from the byte
+ * order mark or the XML declaration.
+ *
+ * The decoder counts the length of the source it has decoded, in bytes
+ * for binary chunks and in characters for string chunks, which assumes
+ * that the bytes are valid in their encoding.
+ *
+ * @param {string} [encoding] Encoding of binary chunks, overriding
+ * the detected encoding.
+ * @param {Object} [saved] State saved by the checkpoint method of
+ * a decoder, to decode the rest of the same source.
+ * @throws {XMLParseError} If the encoding is not supported.
+ * @return {Object} A decoder with `write(chunk)` and `end()` methods
+ * that return the decoded text, and a `checkpoint()` method that
+ * returns the decoded length and the encoding of binary chunks.
+ */
+const makeChunkDecoder = (encoding, saved) => {
+    const forcedEncoding = encoding === undefined
+        ? null
+        : normalizeEncoding(encoding);
+
+    // Bytes read before the encoding is known
+    let pending = null;
+    let bytesDecoder = null;
+    let bytesEncoding = null;
+
+    // Length of the source decoded so far
+    let offset = 0;
+
+    if (saved !== undefined) {
+        offset = saved.offset;
+
+        // Bytes past the start of the document are decoded in the
+        // encoding of the start, without looking for a byte order mark
+        if (saved.encoding !== null) {
+            bytesEncoding = saved.encoding;
+            bytesDecoder = makeBytesDecoder(bytesEncoding);
+        }
+    }
+
+    /**
+     * Count the bytes of decoded text.
+     *
+     * @private
+     * @param {string} text The decoded text.
+     * @return {string} The text.
+     */
+    const counted = text => {
+        offset += Buffer.byteLength(text, bytesEncoding === 'utf16be' ? 'utf16le' : bytesEncoding);
+        return text;
+    };
+
+    /**
+     * Try to determine the encoding from the pending bytes and decode them.
+     *
+     * @private
+     * @param {boolean} final Whether no more bytes are available.
+     * @return {string} The decoded text.
+     */
+    const start = final => {
+        let detected;
+
+        if (forcedEncoding === null) {
+            detected = detectEncoding(pending, final);
+
+            if (detected === null) {
+                return '';
+            }
+        } else {
+            const bom = detectBOM(pending);
+
+            if (forcedEncoding === 'utf16') {
+                detected = bom !== null && bom.encoding !== 'utf8'
+                    ? bom
+                    : {encoding: 'utf16be', length: 0};
+            } else if (bom !== null && bom.encoding === forcedEncoding) {
+                detected = bom;
+            } else {
+                detected = {encoding: forcedEncoding, length: 0};
+            }
+        }
+
+        bytesEncoding = detected.encoding;
+        bytesDecoder = makeBytesDecoder(bytesEncoding);
+        offset += detected.length;
+        const text = bytesDecoder.write(pending.slice(detected.length));
+        pending = null;
+        return counted(text);
+    };
+
+    return {
+        write(chunk) {
+            if (typeof chunk === 'string' || chunk instanceof String) {
+                let text = String(chunk);
+                offset += text.length;
+
+                // A document read as text, such as a UTF-8 file read
+                // with its encoding, keeps its byte order mark
+                if (offset === text.length && bytesEncoding === null && pending === null
+                        && text.charCodeAt(0) === 0xFEFF) {
+                    text = text.slice(1);
+                }
+
+                return text;
+            }
+
+            const bytes = chunk instanceof ArrayBuffer
+                ? Buffer.from(chunk)
+                : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+
+            if (bytesDecoder !== null) {
+                return counted(bytesDecoder.write(bytes));
+            }
+
+            pending = pending === null ? bytes : Buffer.concat([pending, bytes]);
+            return start(false);
+        },
+
+        end() {
+            let text = '';
+
+            if (pending !== null) {
+                text = start(true);
+            }
+
+            if (bytesDecoder !== null) {
+                text += counted(bytesDecoder.end());
+            }
+
+            return text;
+        },
+
+        checkpoint() {
+            return {offset, encoding: bytesEncoding};
+        }
+    };
+};
+
+/**
+ * Decode the chunks of a document iterated by an iterable.
+ *
+ * @param {Iterable|AsyncIterable} sourceIterator Chunks of the document,
+ * either strings or binary chunks.
+ * @param {string} [encoding] Encoding of binary chunks, overriding
+ * the detected encoding.
+ * @param {Object} [decoder] Decoder of the chunks, made for the
+ * encoding by default (see makeChunkDecoder).
+ * @yields {string} The decoded chunks.
+ */
+module.exports = async function* decodeChunks(sourceIterator, encoding, decoder = makeChunkDecoder(encoding)) {
+    for await (const chunk of sourceIterator) {
+        const text = decoder.write(chunk);
+
+        if (text.length > 0) {
+            yield text;
+        }
+    }
+
+    const text = decoder.end();
+
+    if (text.length > 0) {
+        yield text;
+    }
+};
+
+/**
+ * Decode the chunks of a document iterated by a synchronous iterable.
+ *
+ * @param {Iterable} sourceIterator Chunks of the document,
+ * either strings or binary chunks.
+ * @param {string} [encoding] Encoding of binary chunks, overriding
+ * the detected encoding.
+ * @param {Object} [decoder] Decoder of the chunks, made for the
+ * encoding by default (see makeChunkDecoder).
+ * @yields {string} The decoded chunks.
+ */
+module.exports.sync = function* decodeChunksSync(sourceIterator, encoding, decoder = makeChunkDecoder(encoding)) {
+    for (const chunk of sourceIterator) {
+        const text = decoder.write(chunk);
+
+        if (text.length > 0) {
+            yield text;
+        }
+    }
+
+    const text = decoder.end();
+
+    if (text.length > 0) {
+        yield text;
+    }
+};
+
+module.exports.makeChunkDecoder = makeChunkDecoder;
@@ -0,0 +1,143 @@
+const test = require('tape-async');
+
+const decodeChunks = require('./decodeChunks');
+
+/**
+ * Decode a series of chunks and return the decoded text.
+ *
+ * @param chunks Chunks of the document.
+ * @param encoding Encoding to use instead of the detected one.
+ */
+const decodeAll = async (chunks, encoding) => {
+    let text = '';
+    for await (const chunk of decodeChunks(chunks, encoding)) {
+        text += chunk;
+    }
+    return text;
+};
+
+/**
+ * Split a buffer in chunks of one byte.
+ *
+ * @param bytes Buffer to split.
+ */
+const bytewise = bytes => Array.from(bytes, byte => Buffer.from([byte]));
+
+/**
+ * Encode a string in UTF-16BE.
+ *
+ * @param text String to encode.
+ */
+const utf16be = text => Buffer.from(text, 'utf16le').swap16();
+
+test('should pass string chunks through', async assert => {
+    assert.equal(await decodeAll(['<a>', 'text', '</a>']), '<a>text</a>');
+});
+
+test('should decode UTF-8 by default', async assert => {
+    const xml = '<a>€ and 😀</a>';
+    assert.equal(await decodeAll([Buffer.from(xml)]), xml);
+    assert.equal(await decodeAll(bytewise(Buffer.from(xml))), xml);
+});
+
+test('should decode Uint8Array and ArrayBuffer chunks', async assert => {
+    const bytes = Buffer.from('<a>€</a>');
+    const array = new Uint8Array(bytes);
+    assert.equal(await decodeAll([array.subarray(0, 4), array.buffer.slice(4)]), '<a>€</a>');
+});
+
+test('should detect and strip byte order marks', async assert => {
+    const xml = '<a>€ and 😀</a>';
+    assert.equal(
+        await decodeAll(bytewise(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(xml)]))),
+        xml
+    );
+    assert.equal(
+        await decodeAll(bytewise(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(xml, 'utf16le')]))),
+        xml
+    );
+    assert.equal(
+        await decodeAll(bytewise(Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(xml)]))),
+        xml
+    );
+});
+
+test('should strip the byte order mark of the first string chunk', async assert => {
+    assert.equal(await decodeAll(['\uFEFF<a>', '\uFEFF</a>']), '<a>\uFEFF</a>');
+    assert.equal(await decodeAll(['', '\uFEFF<a/>']), '<a/>');
+});
+
+test('should detect UTF-16 without a byte order mark', async assert => {
+    const xml = '<?xml version="1.0"?><a>€</a>';
+    assert.equal(await decodeAll(bytewise(Buffer.from(xml, 'utf16le'))), xml);
+    assert.equal(await decodeAll(bytewise(utf16be(xml))), xml);
+});
+
+test('should honor the encoding declaration', async assert => {
+    const xml = '<?xml version="1.0" encoding="ISO-8859-1"?><a>café</a>';
+    assert.equal(await decodeAll(bytewise(Buffer.from(xml, 'latin1'))), xml);
+    assert.equal(
+        await decodeAll([Buffer.from('<?xml version=\'1.0\' encoding=\'utf-8\'?><a>café</a>')]),
+        '<?xml version=\'1.0\' encoding=\'utf-8\'?><a>café</a>'
+    );
+});
+
+test('should decode short documents', async assert => {
+    assert.equal(await decodeAll([Buffer.from('<a/>')]), '<a/>');
+    assert.equal(await decodeAll([Buffer.from('<?')]), '<?');
+    assert.equal(await decodeAll([]), '');
+});
+
+test('should use the given encoding', async assert => {
+    assert.equal(await decodeAll([Buffer.from('<a>café</a>', 'latin1')], 'latin1'), '<a>café</a>');
+    assert.equal(
+        await decodeAll([Buffer.from('<?xml version="1.0" encoding="utf-8"?><a>é</a>', 'latin1')], 'latin1'),
+        '<?xml version="1.0" encoding="utf-8"?><a>é</a>'
+    );
+    assert.equal(await decodeAll(bytewise(utf16be('<a>€</a>')), 'UTF-16'), '<a>€</a>');
+});
+
+test('should not decode unsupported encodings', async assert => {
+    try {
+        await decodeAll([Buffer.from('<?xml version="1.0" encoding="EBCDIC"?><a/>')]);
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.code, 'UNSUPPORTED_ENCODING');
+        assert.equal(err.message, 'Unsupported encoding: EBCDIC');
+    }
+});
+
+test('should count the decoded length of the source', assert => {
+    const {makeChunkDecoder} = decodeChunks;
+
+    const strings = makeChunkDecoder();
+    strings.write('<a>');
+    strings.write('€</a>');
+    assert.deepEqual(strings.checkpoint(), {offset: 8, encoding: null});
+
+    // Incomplete characters are not counted until they are decoded
+    const bytes = makeChunkDecoder();
+    const xml = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('<a>€</a>')]);
+    assert.equal(bytes.write(xml.slice(0, 8)), '<a>');
+    assert.deepEqual(bytes.checkpoint(), {offset: 6, encoding: 'utf8'});
+    assert.equal(bytes.write(xml.slice(8)), '€</a>');
+    assert.deepEqual(bytes.checkpoint(), {offset: xml.length, encoding: 'utf8'});
+
+    const utf16 = makeChunkDecoder();
+    utf16.write(Buffer.from([0xFE, 0xFF]));
+    utf16.write(utf16be('<a>x</a>').slice(0, 5));
+    assert.deepEqual(utf16.checkpoint(), {offset: 6, encoding: 'utf16be'});
+    assert.end();
+});
+
+test('should resume decoding from a checkpoint', async assert => {
+    const {makeChunkDecoder} = decodeChunks;
+    const xml = utf16be('<a>€</a>');
+    let text = '';
+
+    for await (const chunk of decodeChunks([xml.slice(6)], undefined, makeChunkDecoder(undefined, {offset: 6, encoding: 'utf16be'}))) {
+        text += chunk;
+    }
+
+    assert.equal(text, '€</a>');
+});
@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+
+const makeAsyncXMLParser = require('./Saxophone');
+
+/**
+ * Convert a node to the event emitted by the original Saxophone parser.
+ *
+ * @private
+ * @param {array} node Node yielded by the parser.
+ * @return {?array} The event name and payload, or null if the node
+ * has no Saxophone equivalent.
+ */
+const toEvent = node => {
+    switch (node[0]) {
+    case 'tagopen':
+        return ['tagopen', {name: node[1], attrs: node[2], isSelfClosing: node[3] === '/'}];
+    case 'tagclose':
+        return ['tagclose', {name: node[1]}];
+    case 'text':
+    case 'cdata':
+    case 'comment':
+        return [node[0], {contents: node[1]}];
+    case 'processinginstruction':
+        return ['processinginstruction', {
+            contents: node[2].length === 0 ? node[1] : `${node[1]} ${node[2]}`
+        }];
+    case 'xmldecl': {
+        let contents = `xml version="${node[1]}"`;
+
+        if (node[2]) {
+            contents += ` encoding="${node[2]}"`;
+        }
+
+        if (node[3]) {
+            contents += ` standalone="${node[3]}"`;
+        }
+
+        return ['processinginstruction', {contents}];
+    }
+    default:
+        return null;
+    }
+};
+
+/**
+ * Create an event emitter compatible with the original Saxophone
+ * parser, driven by the asynchronous parser. Each node is emitted
+ * as a Saxophone event, and listeners that return a promise are
+ * awaited before the next node is parsed.
+ *
+ * @param {Object} [options] Parser options (see makeAsyncXMLParser),
+ * except for `batch` and `objects`, which are ignored.
+ * @return {EventEmitter} An emitter with a `parse(source)` method, which
+ * takes the same sources as the parser and returns a promise resolved
+ * once the `finish` or `error` event has been handled.
+ */
+module.exports = function makeSaxophoneEmitter(options = {}) {
+    const parser = makeAsyncXMLParser(Object.assign({}, options, {batch: false, objects: false}));
+    const emitter = new EventEmitter();
+
+    /**
+     * Call the listeners of an event in order, awaiting each of them.
+     * Listeners added with `once` are unwrapped so that their result
+     * can be awaited.
+     *
+     * @private
+     * @param {string} type Name of the event.
+     * @param {...*} args Arguments of the listeners.
+     */
+    const emitAsync = async (type, ...args) => {
+        for (const rawListener of emitter.rawListeners(type)) {
+            const listener = rawListener.listener || rawListener;
+
+            if (listener !== rawListener) {
+                emitter.removeListener(type, rawListener);
+            }
+
+            await listener.apply(emitter, args);
+        }
+    };
+
+    emitter.parse = async source => {
+        try {
+            for await (const node of parser(source)) {
+                const event = toEvent(node);
+
+                if (event !== null) {
+                    await emitAsync(...event);
+                }
+            }
+        } catch (err) {
+            // Like an event emitter, throw errors that are not listened to
+            if (emitter.listenerCount('error') === 0) {
+                throw err;
+            }
+
+            await emitAsync('error', err);
+            return;
+        }
+
+        await emitAsync('finish');
+    };
+
+    return emitter;
+};
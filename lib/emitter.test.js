@@ -0,0 +1,116 @@
+const test = require('tape-async');
+
+const {makeSaxophoneEmitter} = require('./index');
+
+const delay = ms => new Promise(_ => setTimeout(_, ms));
+
+/**
+ * Record the events emitted while parsing an XML text.
+ *
+ * @param xml XML text or iterable of chunks.
+ * @param options Parser options.
+ */
+const recordEvents = async (xml, options) => {
+    const events = [];
+    const emitter = makeSaxophoneEmitter(options);
+
+    for (const type of ['tagopen', 'tagclose', 'text', 'cdata', 'comment', 'processinginstruction', 'error']) {
+        emitter.on(type, payload => {
+            events.push([type, payload instanceof Error ? payload.toString() : payload]);
+        });
+    }
+
+    emitter.on('finish', () => {
+        events.push(['finish']);
+    });
+
+    await emitter.parse(xml);
+    return events;
+};
+
+test('should emit Saxophone events', async assert => {
+    assert.deepEqual(await recordEvents(
+        '<?xml version="1.0" encoding="UTF-8"?><?pi data?><!DOCTYPE a><a x="1"><!-- c --><b/><![CDATA[d]]>e</a>'
+    ), [
+        ['processinginstruction', {contents: 'xml version="1.0" encoding="UTF-8"'}],
+        ['processinginstruction', {contents: 'pi data'}],
+        ['tagopen', {name: 'a', attrs: 'x="1"', isSelfClosing: false}],
+        ['comment', {contents: ' c '}],
+        ['tagopen', {name: 'b', attrs: '', isSelfClosing: true}],
+        ['cdata', {contents: 'd'}],
+        ['text', {contents: 'e'}],
+        ['tagclose', {name: 'a'}],
+        ['finish']
+    ]);
+});
+
+test('should pass parser options through', async assert => {
+    assert.deepEqual(await recordEvents(['<a x="&amp;"/>'], {parseAttributes: true, decodeEntities: true, alwaysTagClose: true}), [
+        ['tagopen', {name: 'a', attrs: {x: '&'}, isSelfClosing: true}],
+        ['tagclose', {name: 'a'}],
+        ['finish']
+    ]);
+});
+
+test('should emit parse errors', async assert => {
+    assert.deepEqual(await recordEvents('<a></b>'), [
+        ['tagopen', {name: 'a', attrs: '', isSelfClosing: false}],
+        ['error', 'XMLParseError: Unclosed tag: a']
+    ]);
+});
+
+test('should reject errors that are not listened to', async assert => {
+    const emitter = makeSaxophoneEmitter();
+    try {
+        await emitter.parse('<a>');
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.code, 'UNCLOSED_ELEMENTS');
+    }
+});
+
+test('should await async listeners before reading more input', async assert => {
+    const log = [];
+    const source = (async function* () {
+        for (const chunk of ['<a>', '<b/>', '</a>']) {
+            log.push(`read ${chunk}`);
+            yield chunk;
+        }
+    }());
+    const emitter = makeSaxophoneEmitter();
+
+    emitter.on('tagopen', async ({name}) => {
+        await delay(10);
+        log.push(`tagopen ${name}`);
+    });
+    emitter.once('tagopen', async () => {
+        await delay(10);
+        log.push('once');
+    });
+    emitter.on('finish', () => {
+        log.push('finish');
+    });
+
+    await emitter.parse(source);
+    assert.deepEqual(log, [
+        'read <a>', 'tagopen a', 'once',
+        'read <b/>', 'tagopen b',
+        'read </a>', 'finish'
+    ]);
+});
+
+test('should stop parsing when a listener throws', async assert => {
+    const emitter = makeSaxophoneEmitter();
+    const names = [];
+
+    emitter.on('tagopen', ({name}) => {
+        names.push(name);
+        throw new Error('stop');
+    });
+    emitter.on('error', err => {
+        names.push(err.message);
+    });
+
+    await emitter.parse('<a><b/></a>');
+    assert.deepEqual(names, ['a', 'stop']);
+});
@@ -1 +1,12 @@
-module.exports.makeAsyncXMLParser = require('./Saxophone');
\ No newline at end of file
+module.exports.makeAsyncXMLParser = require('./Saxophone');
+module.exports.makeSyncXMLParser = require('./Saxophone').makeSyncXMLParser;
+module.exports.parseAttrs = require('./parseAttrs');
+module.exports.parseEntities = require('./parseEntities');
+module.exports.XMLParseError = require('./XMLParseError');
+module.exports.makeXMLParserStream = require('./streams').makeXMLParserStream;
+module.exports.makeXMLParserWebStream = require('./streams').makeXMLParserWebStream;
+module.exports.select = require('./select');
+module.exports.materialize = require('./materialize');
+module.exports.serialize = require('./serialize');
+module.exports.split = require('./split');
+module.exports.makeSaxophoneEmitter = require('./emitter');
@@ -0,0 +1,205 @@
+const parseAttrs = require('./parseAttrs');
+const select = require('./select');
+
+/**
+ * Default conventions used to build objects from elements.
+ *
+ * @private
+ */
+const defaults = {
+    attrKey: '$',
+    mergeAttrs: false,
+    attrPrefix: '',
+    textKey: '_',
+    cdataKey: null,
+    explicitArray: true,
+    explicitText: false,
+    explicitRoot: true,
+    trim: false
+};
+
+/**
+ * Create the object holding the contents of an opened element.
+ *
+ * @private
+ * @param {TagOpenNode} node The tagopen node of the element.
+ * @param {Object} conventions Conventions used to build objects.
+ * @return {Object} The element being built.
+ */
+const openElement = (node, conventions) => {
+    const element = {name: node[1], value: {}, children: {}, text: '', cdata: '', hasChildren: false};
+    const attrs = typeof node[2] === 'string' ? parseAttrs(node[2]) : node[2];
+    const names = Object.keys(attrs);
+
+    if (names.length !== 0) {
+        if (conventions.mergeAttrs) {
+            for (const name of names) {
+                element.value[conventions.attrPrefix + name] = attrs[name];
+            }
+        } else {
+            element.value[conventions.attrKey] = Object.assign({}, attrs);
+        }
+    }
+
+    return element;
+};
+
+/**
+ * Build the final value of a closed element.
+ *
+ * @private
+ * @param {Object} element The element being built.
+ * @param {Object} conventions Conventions used to build objects.
+ * @throws {Error} If an attribute and a child element are stored
+ * under the same key.
+ * @return {Object|string} The value of the element.
+ */
+const closeElement = (element, conventions) => {
+    const {value} = element;
+
+    // Children are kept apart from the attributes until then, so that
+    // they cannot be mixed up
+    for (const name of Object.keys(element.children)) {
+        if (Object.prototype.hasOwnProperty.call(value, name)) {
+            throw new Error(
+                `Attribute and child element stored under the same key in ${element.name}: ${name}`
+            );
+        }
+
+        value[name] = element.children[name];
+    }
+
+    let text = conventions.trim ? element.text.trim() : element.text;
+
+    // Whitespace between child elements is only indentation
+    if (element.hasChildren && /^\s*$/.test(text)) {
+        text = '';
+    }
+
+    if (element.cdata.length !== 0) {
+        value[conventions.cdataKey] = element.cdata;
+    }
+
+    if (Object.keys(value).length === 0 && !conventions.explicitText) {
+        return text;
+    }
+
+    if (text.length !== 0) {
+        value[conventions.textKey] = text;
+    }
+
+    return value;
+};
+
+/**
+ * Add the value of a closed element to its parent.
+ *
+ * @private
+ * @param {Object} parent The parent element being built.
+ * @param {string} name Name of the child element.
+ * @param {Object|string} child Value of the child element.
+ * @param {Object} conventions Conventions used to build objects.
+ */
+const addChild = (parent, name, child, conventions) => {
+    const siblings = parent.children[name];
+    parent.hasChildren = true;
+
+    if (conventions.explicitArray) {
+        if (siblings === undefined) {
+            parent.children[name] = [child];
+        } else {
+            siblings.push(child);
+        }
+    } else if (siblings === undefined) {
+        parent.children[name] = child;
+    } else if (Array.isArray(siblings)) {
+        siblings.push(child);
+    } else {
+        parent.children[name] = [siblings, child];
+    }
+};
+
+/**
+ * Select the elements matching a path in a stream of nodes and build
+ * a plain object for each of them, which is yielded as soon as the
+ * element is closed. Only one selected element is held in memory at a time.
+ *
+ * With the default conventions, `<entry id="1"><title>One</title></entry>`
+ * is built as `{entry: {$: {id: '1'}, title: ['One']}}`.
+ *
+ * @param {AsyncIterable} nodes Nodes yielded by a parser, which must
+ * include tagopen and tagclose nodes.
+ * @param {string|string[]} path Path of the elements to build (see select),
+ * or a list of such paths. A tag name is equivalent to the path `//name`.
+ * @param {Object} [options]
+ * @param {boolean} options.alwaysTagClose - Whether the nodes were yielded
+ * by a parser with the alwaysTagClose option set.
+ * @param {string} options.attrKey - Key of the attribute-value mapping ('$').
+ * @param {boolean} options.mergeAttrs - If true, store attributes as properties
+ * of the element rather than under attrKey.
+ * @param {string} options.attrPrefix - Prefix of attribute names stored
+ * as properties of the element ('').
+ * @param {string} options.textKey - Key of the text of elements that also
+ * have attributes or children ('_').
+ * @param {string} options.cdataKey - If set, key of the contents of CDATA
+ * sections, which are otherwise merged with the text.
+ * @param {boolean} options.explicitArray - If true, always store children
+ * in arrays, otherwise only when a child name is repeated (true).
+ * @param {boolean} options.explicitText - If true, build elements that only
+ * have text as objects rather than strings (false).
+ * @param {boolean} options.explicitRoot - If true, wrap each built element
+ * in an object with its name as the only key (true).
+ * @param {boolean} options.trim - If true, trim the text of elements (false).
+ * @throws {Error} If the path is not valid, or if an attribute and a child
+ * element are stored under the same key.
+ * @throws {TypeError} If the nodes are object nodes or batches.
+ * @yields {Object|string} The built elements.
+ */
+module.exports = async function* materialize(nodes, path, options = {}) {
+    const conventions = Object.assign({}, defaults, options);
+    const paths = (Array.isArray(path) ? path : [path]).map(
+        step => step.startsWith('/') ? step : `//${step}`
+    );
+
+    // Elements being built, outermost first
+    const stack = [];
+
+    for await (const node of select(nodes, paths, options)) {
+        switch (node[0]) {
+        case 'tagopen': {
+            stack.push(openElement(node, conventions));
+
+            // Self-closing tags are closed right away unless
+            // followed by a tagclose node
+            if (node[3] !== '/' || conventions.alwaysTagClose) {
+                break;
+            }
+        }
+        // falls through
+        case 'tagclose': {
+            const element = stack.pop();
+            const value = closeElement(element, conventions);
+
+            if (stack.length !== 0) {
+                addChild(stack[stack.length - 1], element.name, value, conventions);
+            } else if (conventions.explicitRoot) {
+                yield {[element.name]: value};
+            } else {
+                yield value;
+            }
+
+            break;
+        }
+        case 'text':
+            stack[stack.length - 1].text += node[1];
+            break;
+        case 'cdata':
+            if (conventions.cdataKey) {
+                stack[stack.length - 1].cdata += node[1];
+            } else {
+                stack[stack.length - 1].text += node[1];
+            }
+            break;
+        }
+    }
+};
@@ -0,0 +1,146 @@
+const test = require('tape-async');
+const tags = require('common-tags');
+
+const {makeAsyncXMLParser, materialize} = require('./index');
+
+const feed = tags.stripIndent`
+    <feed>
+        <title>Feed</title>
+        <entry id="1"><title>One</title><link href="/1"/></entry>
+        <entry id="2"><title>Two</title><tag>a</tag><tag>b</tag></entry>
+    </feed>
+`;
+
+/**
+ * Build objects from the elements of an XML text.
+ *
+ * @param xml XML text.
+ * @param path Path of the built elements.
+ * @param options Parser and materialize options.
+ */
+const materializeAll = async (xml, path, options = {}) => {
+    const results = [];
+    const parser = makeAsyncXMLParser(options);
+    for await (let value of materialize(parser(xml), path, options)) {
+        results.push(value);
+    }
+    return results;
+};
+
+test('should build objects from selected elements', async assert => {
+    assert.deepEqual(await materializeAll(feed, '/feed/entry'), [
+        {entry: {$: {id: '1'}, title: ['One'], link: [{$: {href: '/1'}}]}},
+        {entry: {$: {id: '2'}, title: ['Two'], tag: ['a', 'b']}}
+    ]);
+});
+
+test('should treat tag names as descendant paths', async assert => {
+    assert.deepEqual(await materializeAll(feed, ['title', 'link']), [
+        {title: 'Feed'},
+        {title: 'One'},
+        {link: {$: {href: '/1'}}},
+        {title: 'Two'}
+    ]);
+});
+
+test('should build objects from parsed attributes', async assert => {
+    assert.deepEqual(await materializeAll(feed, 'link', {parseAttributes: true}), [
+        {link: {$: {href: '/1'}}}
+    ]);
+});
+
+test('should build self-closing elements with alwaysTagClose', async assert => {
+    assert.deepEqual(await materializeAll(feed, 'link', {alwaysTagClose: true}), [
+        {link: {$: {href: '/1'}}}
+    ]);
+});
+
+test('should only use arrays for repeated children', async assert => {
+    assert.deepEqual(await materializeAll(feed, 'entry', {explicitArray: false}), [
+        {entry: {$: {id: '1'}, title: 'One', link: {$: {href: '/1'}}}},
+        {entry: {$: {id: '2'}, title: 'Two', tag: ['a', 'b']}}
+    ]);
+});
+
+test('should merge attributes into elements', async assert => {
+    assert.deepEqual(await materializeAll(feed, 'link', {mergeAttrs: true, attrPrefix: '@'}), [
+        {link: {'@href': '/1'}}
+    ]);
+});
+
+test('should keep attributes and children apart', async assert => {
+    const xml = '<a id="1"><id>2</id></a>';
+
+    for (const options of [{mergeAttrs: true}, {mergeAttrs: true, explicitArray: false}, {attrKey: 'id'}]) {
+        try {
+            await materializeAll(xml, 'a', options);
+            assert.fail('should throw');
+        } catch (err) {
+            assert.equal(err.toString(), 'Error: Attribute and child element stored under the same key in a: id');
+        }
+    }
+
+    assert.deepEqual(await materializeAll(xml, 'a', {mergeAttrs: true, attrPrefix: '@', explicitArray: false}), [
+        {a: {'@id': '1', id: '2'}}
+    ]);
+});
+
+test('should build text with custom conventions', async assert => {
+    const xml = '<a x="1"> text <![CDATA[<data>]]> end </a>';
+
+    assert.deepEqual(await materializeAll(xml, 'a'), [
+        {a: {$: {x: '1'}, _: ' text <data> end '}}
+    ]);
+    assert.deepEqual(await materializeAll(xml, 'a', {
+        trim: true,
+        textKey: '#text',
+        cdataKey: '#cdata',
+        attrKey: '@',
+        explicitRoot: false
+    }), [
+        {'@': {x: '1'}, '#text': 'text  end', '#cdata': '<data>'}
+    ]);
+    assert.deepEqual(await materializeAll('<a>text</a>', 'a', {explicitText: true}), [
+        {a: {_: 'text'}}
+    ]);
+});
+
+test('should ignore whitespace between child elements', async assert => {
+    const xml = tags.stripIndent`
+        <records>
+            <record id="1">
+                <name>One</name>
+                <tags>
+                    <tag> a </tag>
+                </tags>
+            </record>
+            <record id="2">
+                Two <b>bold</b>
+            </record>
+        </records>
+    `;
+
+    assert.deepEqual(await materializeAll(xml, 'record'), [
+        {record: {$: {id: '1'}, name: ['One'], tags: [{tag: [' a ']}]}},
+        {record: {$: {id: '2'}, _: '\n        Two \n    ', b: ['bold']}}
+    ]);
+    assert.deepEqual(await materializeAll(xml, 'record', {trim: true}), [
+        {record: {$: {id: '1'}, name: ['One'], tags: [{tag: ['a']}]}},
+        {record: {$: {id: '2'}, _: 'Two', b: ['bold']}}
+    ]);
+});
+
+test('should ignore comments and processing instructions', async assert => {
+    assert.deepEqual(await materializeAll('<a>x<!-- c --><?pi?>y</a>', 'a'), [
+        {a: 'xy'}
+    ]);
+});
+
+test('should reject object nodes', async assert => {
+    try {
+        await materializeAll(feed, 'entry', {objects: true});
+        assert.fail('should throw');
+    } catch (err) {
+        assert.true(err instanceof TypeError);
+    }
+});
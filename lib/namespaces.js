@@ -0,0 +1,146 @@
+const XMLParseError = require('./XMLParseError');
+
+/**
+ * Namespace bound to the `xml` prefix by definition.
+ *
+ * @private
+ */
+const xmlNamespace = 'http://www.w3.org/XML/1998/namespace';
+
+/**
+ * Namespace bound to the `xmlns` prefix by definition.
+ *
+ * @private
+ */
+const xmlnsNamespace = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Namespace bindings in scope outside of any element. Scopes map prefixes
+ * to namespace URIs, the default namespace being mapped from ''. Nested
+ * scopes inherit from their parent's through the prototype chain.
+ */
+const rootScope = Object.freeze(Object.assign(Object.create(null), {
+    xml: xmlNamespace,
+    xmlns: xmlnsNamespace
+}));
+
+/**
+ * Information about a name resolved against the namespaces in scope.
+ *
+ * @typedef ResolvedName
+ * @type {Object}
+ * @prop {string} prefix - The prefix of the name, or '' if it has none.
+ * @prop {string} local - The local part of the name.
+ * @prop {string} uri - The namespace URI of the name, or '' if it has none.
+ */
+
+/**
+ * Split a qualified name into its prefix and local part.
+ *
+ * @private
+ * @param {string} qname Qualified name.
+ * @throws {XMLParseError} If the name is not a valid qualified name.
+ * @return {string[]} The prefix ('' if none) and the local part.
+ */
+const splitName = qname => {
+    const colon = qname.indexOf(':');
+
+    if (colon === -1) {
+        return ['', qname];
+    }
+
+    const prefix = qname.slice(0, colon);
+    const local = qname.slice(colon + 1);
+
+    if (prefix.length === 0 || local.length === 0 || local.indexOf(':') !== -1) {
+        throw new XMLParseError('INVALID_QNAME', `Invalid qualified name: ${qname}`);
+    }
+
+    return [prefix, local];
+};
+
+/**
+ * Create the scope of an element from the `xmlns` and `xmlns:*`
+ * attributes it declares.
+ *
+ * @param {Object} attrs Attribute-value mapping of the element.
+ * @param {Object} parentScope Scope of the parent element.
+ * @throws {XMLParseError} If a declaration is not allowed.
+ * @return {Object} The element's scope (the parent scope itself
+ * if the element declares no namespaces).
+ */
+module.exports.declareNamespaces = (attrs, parentScope) => {
+    let scope = parentScope;
+
+    for (const name of Object.keys(attrs)) {
+        let prefix;
+
+        if (name === 'xmlns') {
+            prefix = '';
+        } else if (name.startsWith('xmlns:')) {
+            prefix = name.slice(6);
+        } else {
+            continue;
+        }
+
+        const uri = attrs[name];
+
+        if (prefix === 'xmlns') {
+            throw new XMLParseError('INVALID_NAMESPACE_DECLARATION', 'The xmlns prefix may not be declared');
+        }
+
+        if ((prefix === 'xml') !== (uri === xmlNamespace) || uri === xmlnsNamespace) {
+            throw new XMLParseError('INVALID_NAMESPACE_DECLARATION', `Reserved namespace may not be bound: ${name}="${uri}"`);
+        }
+
+        if (prefix !== '' && uri === '') {
+            throw new XMLParseError('INVALID_NAMESPACE_DECLARATION', `Namespace prefix may not be undeclared: ${prefix}`);
+        }
+
+        if (scope === parentScope) {
+            scope = Object.create(parentScope);
+        }
+
+        scope[prefix] = uri;
+    }
+
+    return scope;
+};
+
+/**
+ * Resolve an element or attribute name against the namespaces in scope.
+ *
+ * @param {string} qname Qualified name of the element or attribute.
+ * @param {Object} scope Namespaces in scope.
+ * @param {boolean} isAttribute Whether the name is an attribute name
+ * (unprefixed attributes do not take the default namespace).
+ * @throws {XMLParseError} If the name uses an undeclared prefix.
+ * @return {ResolvedName}
+ */
+module.exports.resolveName = (qname, scope, isAttribute) => {
+    const [prefix, local] = splitName(qname);
+
+    if (prefix === '') {
+        let uri = '';
+
+        if (isAttribute) {
+            if (local === 'xmlns') {
+                uri = xmlnsNamespace;
+            }
+        } else if (scope[''] !== undefined) {
+            uri = scope[''];
+        }
+
+        return {prefix, local, uri};
+    }
+
+    const uri = scope[prefix];
+
+    if (uri === undefined) {
+        throw new XMLParseError('UNDECLARED_PREFIX', `Undeclared namespace prefix: ${prefix}`);
+    }
+
+    return {prefix, local, uri};
+};
+
+module.exports.rootScope = rootScope;
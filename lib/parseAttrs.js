@@ -0,0 +1,96 @@
+const XMLParseError = require('./XMLParseError');
+
+/**
+ * Check if a character is a whitespace character according
+ * to the XML spec (space, carriage return, line feed or tab).
+ *
+ * @private
+ * @param {string} character Character to check.
+ * @return {boolean} Whether the character is whitespace or not.
+ */
+const isWhitespace = character =>
+    character === ' ' || character === '\r' ||
+    character === '\n' || character === '\t';
+
+/**
+ * Parse a string of XML attributes to a map of attribute names
+ * to their values.
+ *
+ * @param {string} input A string of XML attributes, as found in
+ * the third element of a `tagopen` node.
+ * @throws {XMLParseError} If the string is malformed.
+ * @return {Object} A map of attribute names to their values
+ * (quotes stripped, entities left as is).
+ */
+module.exports = function parseAttrs(input) {
+    const attrs = {};
+    const end = input.length;
+    let position = 0;
+
+    while (position < end) {
+        // Skip all whitespace
+        if (isWhitespace(input[position])) {
+            position += 1;
+            continue;
+        }
+
+        // Read the attribute name up to the equal sign or whitespace
+        const startName = position;
+
+        while (input[position] !== '=' && position < end) {
+            if (isWhitespace(input[position])) {
+                break;
+            }
+
+            position += 1;
+        }
+
+        const attrName = input.slice(startName, position);
+
+        if (attrName.length === 0) {
+            throw new XMLParseError('INVALID_ATTRIBUTE', 'Attribute names may not be empty');
+        }
+
+        // Skip whitespace between the name and the equal sign
+        while (isWhitespace(input[position]) && position < end) {
+            position += 1;
+        }
+
+        if (input[position] !== '=') {
+            throw new XMLParseError('MISSING_ATTRIBUTE_VALUE', `Expected a value for the attribute: ${attrName}`);
+        }
+
+        position += 1;
+
+        // Skip whitespace between the equal sign and the value
+        while (isWhitespace(input[position]) && position < end) {
+            position += 1;
+        }
+
+        const startQuote = input[position];
+
+        if (startQuote !== '"' && startQuote !== '\'') {
+            throw new XMLParseError('UNQUOTED_ATTRIBUTE_VALUE', `Attribute values should be quoted: ${attrName}`);
+        }
+
+        const endQuote = input.indexOf(startQuote, position + 1);
+
+        if (endQuote === -1) {
+            throw new XMLParseError('INVALID_ATTRIBUTE', `Unclosed attribute value: ${attrName}`);
+        }
+
+        if (Object.prototype.hasOwnProperty.call(attrs, attrName)) {
+            throw new XMLParseError('DUPLICATE_ATTRIBUTE', `Duplicate attribute: ${attrName}`);
+        }
+
+        attrs[attrName] = input.slice(position + 1, endQuote);
+        position = endQuote + 1;
+
+        // Attributes must be separated by whitespace
+        if (position < end && !isWhitespace(input[position])) {
+            throw new XMLParseError('INVALID_ATTRIBUTE', `Expected whitespace after the attribute: ${attrName}`);
+        }
+    }
+
+    return attrs;
+};
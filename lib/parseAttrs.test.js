@@ -0,0 +1,99 @@
+const test = require('tape-async');
+
+const {parseAttrs} = require('./index');
+
+test('should parse tag attributes', assert => {
+    assert.deepEqual(
+        parseAttrs(' first="one" second="two"  third="three " '),
+        {
+            first: 'one',
+            second: 'two',
+            third: 'three '
+        }
+    );
+    assert.end();
+});
+
+test('should parse attributes values containing ">"', assert => {
+    assert.deepEqual(
+        parseAttrs(' assert="5 > 1" '),
+        {assert: '5 > 1'}
+    );
+    assert.end();
+});
+
+test('should parse single-quoted attribute values', assert => {
+    assert.deepEqual(
+        parseAttrs('single=\'a "quoted" value\' double="it\'s"'),
+        {
+            single: 'a "quoted" value',
+            double: 'it\'s'
+        }
+    );
+    assert.end();
+});
+
+test('should allow whitespace around the equal sign', assert => {
+    assert.deepEqual(
+        parseAttrs('first = "one"\n\tsecond=\r\n"two"'),
+        {
+            first: 'one',
+            second: 'two'
+        }
+    );
+    assert.end();
+});
+
+test('should parse an empty attribute string', assert => {
+    assert.deepEqual(parseAttrs(''), {});
+    assert.deepEqual(parseAttrs('  '), {});
+    assert.end();
+});
+
+test('should not parse attributes without a value', assert => {
+    assert.throws(() => {
+        parseAttrs(' first');
+    }, /^XMLParseError: Expected a value for the attribute: first$/);
+    assert.throws(() => {
+        parseAttrs('checked second="two"');
+    }, /^XMLParseError: Expected a value for the attribute: checked$/);
+    assert.end();
+});
+
+test('should not parse attributes with empty names', assert => {
+    assert.throws(() => {
+        parseAttrs(' ="ciao"');
+    }, /^XMLParseError: Attribute names may not be empty$/);
+    assert.end();
+});
+
+test('should not parse unquoted attribute values', assert => {
+    assert.throws(() => {
+        parseAttrs(' first=one');
+    }, /^XMLParseError: Attribute values should be quoted: first$/);
+    assert.end();
+});
+
+test('should not parse misquoted attribute values', assert => {
+    assert.throws(() => {
+        parseAttrs(' first="one\' second="two"');
+    }, /^XMLParseError: Expected whitespace after the attribute: first$/);
+    assert.throws(() => {
+        parseAttrs(' first="one');
+    }, /^XMLParseError: Unclosed attribute value: first$/);
+    assert.end();
+});
+
+test('should not parse attributes that are not separated by whitespace', assert => {
+    assert.throws(() => {
+        parseAttrs(' first="one"second="two"');
+    }, /^XMLParseError: Expected whitespace after the attribute: first$/);
+    assert.end();
+});
+
+test('should not parse duplicate attributes', assert => {
+    assert.throws(() => {
+        parseAttrs(' first="one" first=\'two\'');
+    }, /^XMLParseError: Duplicate attribute: first$/);
+    assert.end();
+});
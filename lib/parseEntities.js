@@ -0,0 +1,90 @@
+const XMLParseError = require('./XMLParseError');
+
+/**
+ * The five entities that are predefined by the XML spec.
+ *
+ * @private
+ */
+const predefinedEntities = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\''
+};
+
+/**
+ * Check if a code point is allowed in an XML document
+ * (production [2] Char of the XML spec).
+ *
+ * @private
+ * @param {number} code Code point to check.
+ * @return {boolean} Whether the code point is allowed or not.
+ */
+const isXMLChar = code =>
+    code === 0x9 || code === 0xA || code === 0xD ||
+    (code >= 0x20 && code <= 0xD7FF) ||
+    (code >= 0xE000 && code <= 0xFFFD) ||
+    (code >= 0x10000 && code <= 0x10FFFF);
+
+/**
+ * Decode a character reference (without the leading `&#` and
+ * the trailing `;`).
+ *
+ * @private
+ * @param {string} reference The complete reference, for error messages.
+ * @param {string} digits Digits of the reference, prefixed with `x` if hexadecimal.
+ * @throws {XMLParseError} If the reference is malformed or not an XML character.
+ * @return {string} The referenced character.
+ */
+const decodeCharReference = (reference, digits) => {
+    const code = digits[0] === 'x'
+        ? /^x[0-9a-fA-F]+$/.test(digits) && parseInt(digits.slice(1), 16)
+        : /^[0-9]+$/.test(digits) && parseInt(digits, 10);
+
+    if (code === false) {
+        throw new XMLParseError('INVALID_CHAR_REFERENCE', `Malformed character reference: ${reference}`);
+    }
+
+    if (!isXMLChar(code)) {
+        throw new XMLParseError('INVALID_CHAR_REFERENCE', `Invalid character reference: ${reference}`);
+    }
+
+    return String.fromCodePoint(code);
+};
+
+/**
+ * Decode the predefined XML entities and the character references
+ * contained in a string, as well as any additional named entities.
+ *
+ * @param {string} input A string of text or an attribute value.
+ * @param {Object} [entities] A map of additional entity names
+ * to their replacement text (which is not itself decoded).
+ * @throws {XMLParseError} If a reference is malformed or refers to an unknown entity.
+ * @return {string} The decoded string.
+ */
+module.exports = function parseEntities(input, entities = {}) {
+    if (input.indexOf('&') === -1) {
+        return input;
+    }
+
+    return input.replace(/&([^\s&;<]*)(;?)/g, (reference, name, semicolon) => {
+        if (!semicolon || name.length === 0) {
+            throw new XMLParseError('INVALID_ENTITY', `Malformed entity reference: ${reference}`);
+        }
+
+        if (name[0] === '#') {
+            return decodeCharReference(reference, name.slice(1));
+        }
+
+        if (Object.prototype.hasOwnProperty.call(predefinedEntities, name)) {
+            return predefinedEntities[name];
+        }
+
+        if (Object.prototype.hasOwnProperty.call(entities, name)) {
+            return entities[name];
+        }
+
+        throw new XMLParseError('UNKNOWN_ENTITY', `Unknown entity: ${reference}`);
+    });
+};
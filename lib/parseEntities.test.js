@@ -0,0 +1,84 @@
+const test = require('tape-async');
+
+const {parseEntities} = require('./index');
+
+test('should decode predefined entities', assert => {
+    assert.equal(
+        parseEntities('&lt;a href=&quot;x&quot; title=&apos;y&apos;&gt; &amp;amp;'),
+        '<a href="x" title=\'y\'> &amp;'
+    );
+    assert.end();
+});
+
+test('should decode decimal and hexadecimal character references', assert => {
+    assert.equal(parseEntities('&#8364; &#x20AC; &#x20ac;'), '€ € €');
+    assert.equal(parseEntities('&#x1F600;&#128512;'), '\u{1F600}\u{1F600}');
+    assert.end();
+});
+
+test('should leave strings without references untouched', assert => {
+    assert.equal(parseEntities('no references here'), 'no references here');
+    assert.equal(parseEntities(''), '');
+    assert.end();
+});
+
+test('should decode additional named entities', assert => {
+    assert.equal(
+        parseEntities('&nbsp;&copy; 2020 &company;', {
+            nbsp: ' ',
+            copy: '©',
+            company: '&amp; Co'
+        }),
+        ' © 2020 &amp; Co'
+    );
+    assert.end();
+});
+
+test('should not decode unknown entities', assert => {
+    assert.throws(() => {
+        parseEntities('a &unknown; entity');
+    }, /^XMLParseError: Unknown entity: &unknown;$/);
+    assert.throws(() => {
+        parseEntities('&toString;');
+    }, /^XMLParseError: Unknown entity: &toString;$/);
+    assert.end();
+});
+
+test('should not decode malformed entity references', assert => {
+    assert.throws(() => {
+        parseEntities('fish & chips');
+    }, /^XMLParseError: Malformed entity reference: &$/);
+    assert.throws(() => {
+        parseEntities('&amp');
+    }, /^XMLParseError: Malformed entity reference: &amp$/);
+    assert.throws(() => {
+        parseEntities('&;');
+    }, /^XMLParseError: Malformed entity reference: &;$/);
+    assert.end();
+});
+
+test('should not decode malformed character references', assert => {
+    assert.throws(() => {
+        parseEntities('&#x;');
+    }, /^XMLParseError: Malformed character reference: &#x;$/);
+    assert.throws(() => {
+        parseEntities('&#12a;');
+    }, /^XMLParseError: Malformed character reference: &#12a;$/);
+    assert.throws(() => {
+        parseEntities('&#X20AC;');
+    }, /^XMLParseError: Malformed character reference: &#X20AC;$/);
+    assert.end();
+});
+
+test('should not decode references to invalid characters', assert => {
+    assert.throws(() => {
+        parseEntities('&#0;');
+    }, /^XMLParseError: Invalid character reference: &#0;$/);
+    assert.throws(() => {
+        parseEntities('&#xD800;');
+    }, /^XMLParseError: Invalid character reference: &#xD800;$/);
+    assert.throws(() => {
+        parseEntities('&#x110000;');
+    }, /^XMLParseError: Invalid character reference: &#x110000;$/);
+    assert.end();
+});
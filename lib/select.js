@@ -0,0 +1,227 @@
+const checkNode = require('./checkNode');
+const parseAttrs = require('./parseAttrs');
+
+/**
+ * A step of a path, matching elements of the given name
+ * having the given attribute values.
+ *
+ * @typedef PathStep
+ * @type {Object}
+ * @prop {boolean} descendant - Whether the step matches descendants of
+ * the context element (`//`) rather than only its children (`/`).
+ * @prop {string} name - Name of the matched elements, or '*' for any name.
+ * @prop {Array} predicates - Pairs of attribute names and values
+ * that the matched elements must have.
+ */
+
+const stepRegex = /(\/\/?)([^/[\]\s]+)((?:\[[^\]]*\])*)/y;
+const predicateRegex = /\[\s*@([^\s=\]]+)\s*=\s*(?:"([^"]*)"|'([^']*)')\s*\]/y;
+
+/**
+ * Parse a path into a list of steps.
+ *
+ * @param {string} path The path, made of steps separated by `/` or `//`,
+ * for example `/feed/entry`, `//record` or `/root/*[@type="a"]//item`.
+ * @throws {Error} If the path is not valid.
+ * @return {PathStep[]}
+ */
+const parsePath = path => {
+    const steps = [];
+    stepRegex.lastIndex = 0;
+
+    while (stepRegex.lastIndex < path.length) {
+        const match = stepRegex.exec(path);
+
+        if (match === null) {
+            throw new Error(`Invalid path: ${path}`);
+        }
+
+        const [, axis, name, predicatesString] = match;
+        const predicates = [];
+        predicateRegex.lastIndex = 0;
+
+        while (predicateRegex.lastIndex < predicatesString.length) {
+            const predicate = predicateRegex.exec(predicatesString);
+
+            if (predicate === null) {
+                throw new Error(`Invalid path: ${path}`);
+            }
+
+            const [, attrName, doubleQuoted, singleQuoted] = predicate;
+            predicates.push([attrName, doubleQuoted === undefined ? singleQuoted : doubleQuoted]);
+        }
+
+        steps.push({descendant: axis === '//', name, predicates});
+    }
+
+    if (steps.length === 0) {
+        throw new Error(`Invalid path: ${path}`);
+    }
+
+    return steps;
+};
+
+/**
+ * Check if an opened tag matches a step of a path.
+ *
+ * @private
+ * @param {PathStep} step Step of the path.
+ * @param {TagOpenNode} node The tagopen node.
+ * @return {boolean}
+ */
+const matchesStep = (step, node) => {
+    if (step.name !== '*' && step.name !== node[1]) {
+        return false;
+    }
+
+    if (step.predicates.length === 0) {
+        return true;
+    }
+
+    const attrs = typeof node[2] === 'string' ? parseAttrs(node[2]) : node[2];
+
+    return step.predicates.every(([name, value]) =>
+        Object.prototype.hasOwnProperty.call(attrs, name) && attrs[name] === value
+    );
+};
+
+/**
+ * Make a matcher of the elements matching a path, which follows the
+ * elements opened and closed in a stream of nodes.
+ *
+ * @param {string|string[]} path Path of the matched elements (see parsePath),
+ * or a list of paths to match the elements matching any of them.
+ * @throws {Error} If the path is not valid.
+ * @return {Object} The matcher, whose `enter(node, test)` method must be
+ * called for each opened element and returns whether it matches, testing it
+ * only if `test` is true, and whose `leave()` method must be called for each
+ * closed element. Its `depth` property is the number of opened elements.
+ */
+const makePathMatcher = path => {
+    // Steps of all the paths, one after the other, with the index
+    // of the first step of each path
+    const steps = [];
+    const rootStates = [];
+
+    for (const pathSteps of (Array.isArray(path) ? path : [path]).map(parsePath)) {
+        rootStates.push(steps.length);
+        steps.push(...pathSteps.map((step, index) =>
+            Object.assign({last: index === pathSteps.length - 1}, step)
+        ));
+    }
+
+    // For each opened element, the indices of the steps that
+    // its children may match, or null if they are not tested
+    const stack = [];
+
+    return {
+        get depth() {
+            return stack.length;
+        },
+
+        enter(node, test) {
+            let states = null;
+            let matched = false;
+
+            if (test) {
+                const parentStates = stack.length === 0 ? rootStates : stack[stack.length - 1];
+                states = [];
+
+                for (const index of parentStates) {
+                    const step = steps[index];
+
+                    if (step.descendant && !states.includes(index)) {
+                        states.push(index);
+                    }
+
+                    if (matchesStep(step, node)) {
+                        if (step.last) {
+                            matched = true;
+                        } else if (!states.includes(index + 1)) {
+                            states.push(index + 1);
+                        }
+                    }
+                }
+            }
+
+            stack.push(states);
+            return matched;
+        },
+
+        leave() {
+            stack.pop();
+        }
+    };
+};
+
+/**
+ * Select the elements matching a path in a stream of nodes, yielding
+ * all the nodes of each matching element, from its tagopen node to its
+ * tagclose node included, and skipping all other nodes. Elements are
+ * matched as their tags are opened, without buffering the document.
+ * Matching elements nested inside a matching element are yielded only
+ * once, as part of the outer element.
+ *
+ * @param {AsyncIterable} nodes Nodes yielded by a parser, which must
+ * include tagopen and tagclose nodes.
+ * @param {string|string[]} path Path of the elements to select (see parsePath),
+ * or a list of paths to select the elements matching any of them.
+ * @param {Object} [options]
+ * @param {boolean} options.alwaysTagClose - Whether the nodes were yielded
+ * by a parser with the alwaysTagClose option set.
+ * @throws {Error} If the path is not valid.
+ * @throws {TypeError} If the nodes are object nodes or batches.
+ * @yields The nodes of the matching elements.
+ */
+module.exports = async function* select(nodes, path, options = {}) {
+    const optAlwaysTagClose = options.alwaysTagClose;
+    const matcher = makePathMatcher(path);
+
+    // Depth of the element being selected, or -1 if none
+    let matchDepth = -1;
+
+    /**
+     * Close the current element.
+     */
+    const leave = () => {
+        matcher.leave();
+
+        if (matchDepth === matcher.depth) {
+            matchDepth = -1;
+        }
+    };
+
+    for await (const node of nodes) {
+        checkNode(node, 'select');
+        const type = node[0];
+
+        if (type === 'tagopen') {
+            if (matcher.enter(node, matchDepth === -1)) {
+                matchDepth = matcher.depth - 1;
+            }
+
+            if (matchDepth !== -1) {
+                yield node;
+            }
+
+            // Self-closing tags are closed right away unless
+            // followed by a tagclose node
+            if (node[3] === '/' && !optAlwaysTagClose) {
+                leave();
+            }
+
+            continue;
+        }
+
+        if (matchDepth !== -1) {
+            yield node;
+        }
+
+        if (type === 'tagclose') {
+            leave();
+        }
+    }
+};
+
+module.exports.parsePath = parsePath;
+module.exports.makePathMatcher = makePathMatcher;
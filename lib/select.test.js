@@ -0,0 +1,161 @@
+const test = require('tape-async');
+const tags = require('common-tags');
+
+const {makeAsyncXMLParser, select} = require('./index');
+const {parsePath} = require('./select');
+
+const feed = tags.stripIndent`
+    <feed>
+        <title>Feed</title>
+        <entry id="1"><title>One</title></entry>
+        <entry id="2" type="draft"><title>Two</title><entry id="2.1"/></entry>
+        <group>
+            <entry id="3"/>
+        </group>
+    </feed>
+`;
+
+/**
+ * Select elements of an XML text and return the selected nodes.
+ *
+ * @param xml XML text.
+ * @param path Path of the selected elements.
+ * @param options Parser options.
+ */
+const selectAll = async (xml, path, options = {}) => {
+    const results = [];
+    const parser = makeAsyncXMLParser(Object.assign({noEmptyText: true}, options));
+    for await (let node of select(parser(xml), path, options)) {
+        results.push(node);
+    }
+    return results;
+};
+
+test('should parse paths', assert => {
+    assert.deepEqual(parsePath('/feed//entry'), [
+        {descendant: false, name: 'feed', predicates: []},
+        {descendant: true, name: 'entry', predicates: []}
+    ]);
+    assert.deepEqual(parsePath('//*[@id="1"][@type=\'a b\']'), [
+        {descendant: true, name: '*', predicates: [['id', '1'], ['type', 'a b']]}
+    ]);
+    assert.end();
+});
+
+test('should not parse invalid paths', assert => {
+    for (const path of ['', 'feed', '/feed/', '/feed[id=1]', '/feed[@id=1]', '///feed']) {
+        assert.throws(() => parsePath(path), /^Error: Invalid path: /, path);
+    }
+    assert.end();
+});
+
+test('should select elements by absolute path', async assert => {
+    assert.deepEqual(await selectAll(feed, '/feed/entry'), [
+        ['tagopen', 'entry', 'id="1"', ''],
+        ['tagopen', 'title', '', ''],
+        ['text', 'One'],
+        ['tagclose', 'title'],
+        ['tagclose', 'entry'],
+        ['tagopen', 'entry', 'id="2" type="draft"', ''],
+        ['tagopen', 'title', '', ''],
+        ['text', 'Two'],
+        ['tagclose', 'title'],
+        ['tagopen', 'entry', 'id="2.1"', '/'],
+        ['tagclose', 'entry']
+    ]);
+});
+
+test('should select elements by descendant path', async assert => {
+    assert.deepEqual(await selectAll(feed, '//entry', {include: ['tagopen', 'tagclose']}), [
+        ['tagopen', 'entry', 'id="1"', ''],
+        ['tagopen', 'title', '', ''],
+        ['tagclose', 'title'],
+        ['tagclose', 'entry'],
+        ['tagopen', 'entry', 'id="2" type="draft"', ''],
+        ['tagopen', 'title', '', ''],
+        ['tagclose', 'title'],
+        ['tagopen', 'entry', 'id="2.1"', '/'],
+        ['tagclose', 'entry'],
+        ['tagopen', 'entry', 'id="3"', '/']
+    ]);
+    assert.deepEqual(await selectAll(feed, '/feed//title'), [
+        ['tagopen', 'title', '', ''],
+        ['text', 'Feed'],
+        ['tagclose', 'title'],
+        ['tagopen', 'title', '', ''],
+        ['text', 'One'],
+        ['tagclose', 'title'],
+        ['tagopen', 'title', '', ''],
+        ['text', 'Two'],
+        ['tagclose', 'title']
+    ]);
+});
+
+test('should select elements by wildcard', async assert => {
+    assert.deepEqual(await selectAll(feed, '/feed/*/entry'), [
+        ['tagopen', 'entry', 'id="2.1"', '/'],
+        ['tagopen', 'entry', 'id="3"', '/']
+    ]);
+    assert.equal((await selectAll(feed, '/*')).length, 19);
+});
+
+test('should select elements by attribute value', async assert => {
+    assert.deepEqual(await selectAll(feed, '//entry[@type="draft"]/title'), [
+        ['tagopen', 'title', '', ''],
+        ['text', 'Two'],
+        ['tagclose', 'title']
+    ]);
+    assert.deepEqual(await selectAll(feed, '//*[@id=\'3\']', {parseAttributes: true}), [
+        ['tagopen', 'entry', {id: '3'}, '/']
+    ]);
+    assert.deepEqual(await selectAll(feed, '//entry[@id="2"][@type="final"]'), []);
+});
+
+test('should select self-closing elements with alwaysTagClose', async assert => {
+    assert.deepEqual(
+        await selectAll('<a><b/><b><b/></b><c/></a>', '/a/b', {alwaysTagClose: true}),
+        [
+            ['tagopen', 'b', '', '/'],
+            ['tagclose', 'b'],
+            ['tagopen', 'b', '', ''],
+            ['tagopen', 'b', '', '/'],
+            ['tagclose', 'b'],
+            ['tagclose', 'b']
+        ]
+    );
+});
+
+test('should select elements in a stream split in chunks', async assert => {
+    const chunks = [];
+    for (let i = 0; i < feed.length; i += 7) {
+        chunks.push(feed.slice(i, i + 7));
+    }
+    assert.deepEqual(
+        await selectAll(chunks, '//group'),
+        await selectAll(feed, '//group')
+    );
+    assert.equal((await selectAll(chunks, '//group')).length, 3);
+});
+
+test('should select elements matching any of several paths', async assert => {
+    assert.deepEqual(await selectAll(feed, ['/feed/title', '//entry[@id="3"]', '//group/entry']), [
+        ['tagopen', 'title', '', ''],
+        ['text', 'Feed'],
+        ['tagclose', 'title'],
+        ['tagopen', 'entry', 'id="3"', '/']
+    ]);
+});
+
+test('should reject object nodes and batches', async assert => {
+    for (const [options, message] of [
+        [{objects: true}, 'TypeError: select expects array nodes, not object nodes (objects option)'],
+        [{batch: true}, 'TypeError: select expects single nodes, not batches (batch option)']
+    ]) {
+        try {
+            await selectAll(feed, '//entry', options);
+            assert.fail('should throw');
+        } catch (err) {
+            assert.equal(err.toString(), message);
+        }
+    }
+});
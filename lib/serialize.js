@@ -0,0 +1,280 @@
+const checkNode = require('./checkNode');
+
+/**
+ * Escape a decoded text so that it can be written as character data.
+ *
+ * @private
+ * @param {string} text The text.
+ * @return {string}
+ */
+const escapeText = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Escape a decoded value so that it can be written between double quotes.
+ * Whitespace characters other than spaces are written as character
+ * references, so that they are not normalized when read back.
+ *
+ * @private
+ * @param {string} value The attribute value.
+ * @return {string}
+ */
+const escapeAttr = value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;')
+    .replace(/\n/g, '&#xA;')
+    .replace(/\r/g, '&#xD;');
+
+/**
+ * Serialize the attributes of a tagopen node.
+ *
+ * @private
+ * @param {string|Object} attrs Attribute string or key/value object.
+ * @param {boolean} decoded Whether attribute values have their
+ * entities decoded.
+ * @return {string} The attributes, preceded by a space if there are any.
+ */
+const serializeAttrs = (attrs, decoded) => {
+    if (typeof attrs === 'string') {
+        return attrs.length === 0 ? '' : ` ${attrs}`;
+    }
+
+    return Object.keys(attrs).map(name => {
+        const value = String(attrs[name]);
+        return ` ${name}="${decoded ? escapeAttr(value) : value.replace(/"/g, '&quot;')}"`;
+    }).join('');
+};
+
+/**
+ * Quote a literal of a document type declaration, with single quotes
+ * if it contains double quotes.
+ *
+ * @private
+ * @param {string} literal The public or system identifier.
+ * @return {string}
+ */
+const quoteLiteral = literal => literal.includes('"') ? `'${literal}'` : `"${literal}"`;
+
+/**
+ * Serialize a document type declaration node.
+ *
+ * @private
+ * @param {DoctypeNode} node The doctype node.
+ * @return {string}
+ */
+const serializeDoctype = ([, name, publicId, systemId, subset]) => {
+    let result = `<!DOCTYPE ${name}`;
+
+    if (publicId) {
+        result += ` PUBLIC ${quoteLiteral(publicId)} ${quoteLiteral(systemId)}`;
+    } else if (systemId) {
+        result += ` SYSTEM ${quoteLiteral(systemId)}`;
+    }
+
+    if (subset) {
+        result += ` [${subset}]`;
+    }
+
+    return `${result}>`;
+};
+
+/**
+ * Serialize an XML declaration node.
+ *
+ * @private
+ * @param {XMLDeclarationNode} node The xmldecl node.
+ * @return {string}
+ */
+const serializeXMLDeclaration = ([, version, encoding, standalone]) => {
+    let result = `<?xml version="${version}"`;
+
+    if (encoding) {
+        result += ` encoding="${encoding}"`;
+    }
+
+    if (standalone) {
+        result += ` standalone="${standalone}"`;
+    }
+
+    return `${result}?>`;
+};
+
+/**
+ * Serialize a stream of nodes, in the format output by the parser, back
+ * into XML text. Chunks of text are yielded as the nodes are read.
+ *
+ * @param {AsyncIterable} nodes Nodes to serialize.
+ * @param {Object} [options]
+ * @param {boolean} options.alwaysTagClose - Whether the nodes were yielded
+ * by a parser with the alwaysTagClose option set.
+ * @param {boolean} options.decodeEntities - Whether the texts and attribute
+ * values of the nodes have their entities decoded, and should be escaped.
+ * @param {string|number} options.indent - If set, the output is pretty-printed
+ * with each tag on its own line, indented with this string or this number
+ * of spaces. Whitespace-only text nodes are then dropped, except inside
+ * elements that contain text.
+ * @throws {Error} If the nodes are not balanced or cannot be serialized.
+ * @throws {TypeError} If the nodes are object nodes or batches.
+ * @yields {string} Chunks of XML text.
+ */
+module.exports = async function* serialize(nodes, options = {}) {
+    const optAlwaysTagClose = options.alwaysTagClose;
+    const optDecodeEntities = options.decodeEntities;
+    const optIndent = typeof options.indent === 'number'
+        ? ' '.repeat(options.indent)
+        : options.indent;
+    const optPretty = typeof optIndent === 'string';
+
+    // Names of the opened elements
+    const stack = [];
+
+    // Whether the next tagclose node closes a self-closing tag
+    let selfClosed = false;
+
+    // When pretty-printing, depth of the element from which text is
+    // written as is, without line breaks, or -1 if none
+    let inlineDepth = -1;
+
+    // Whether the last node was the tagopen node of an element
+    let justOpened = false;
+
+    // Whether anything was output yet
+    let started = false;
+
+    /**
+     * Compute the line break and indentation to output before a tag.
+     *
+     * @return {string}
+     */
+    const lineBreak = () => {
+        if (!optPretty || inlineDepth !== -1 || !started) {
+            return '';
+        }
+
+        return `\n${optIndent.repeat(stack.length)}`;
+    };
+
+    /**
+     * Mark the current element as containing text.
+     */
+    const startInline = () => {
+        if (inlineDepth === -1) {
+            inlineDepth = stack.length;
+        }
+    };
+
+    for await (const node of nodes) {
+        checkNode(node, 'serialize');
+        let output = '';
+
+        switch (node[0]) {
+        case 'tagopen': {
+            const [, name, attrs, isSelfClosing] = node;
+            output = `${lineBreak()}<${name}${serializeAttrs(attrs, optDecodeEntities)}`;
+
+            if (isSelfClosing) {
+                output += '/>';
+
+                if (optAlwaysTagClose) {
+                    stack.push(name);
+                    selfClosed = true;
+                }
+            } else {
+                output += '>';
+                stack.push(name);
+            }
+
+            justOpened = !isSelfClosing;
+            break;
+        }
+        case 'tagclose': {
+            const [, name] = node;
+
+            if (stack.length === 0) {
+                throw new Error(`Unexpected closing tag: ${name}`);
+            }
+
+            const expected = stack.pop();
+
+            if (expected !== name) {
+                throw new Error(`Mismatched closing tag: ${name}, expected ${expected}`);
+            }
+
+            if (selfClosed) {
+                selfClosed = false;
+                break;
+            }
+
+            output = `${justOpened ? '' : lineBreak()}</${name}>`;
+
+            if (inlineDepth > stack.length) {
+                inlineDepth = -1;
+            }
+
+            justOpened = false;
+            break;
+        }
+        case 'text':
+            if (optPretty && inlineDepth === -1 && node[1].trim().length === 0) {
+                break;
+            }
+
+            startInline();
+            output = optDecodeEntities ? escapeText(node[1]) : node[1];
+            justOpened = false;
+            break;
+        case 'cdata':
+            startInline();
+            output = `<![CDATA[${node[1].replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+            justOpened = false;
+            break;
+        case 'comment':
+            if (node[1].includes('--') || node[1].endsWith('-')) {
+                throw new Error(`Invalid comment: ${node[1]}`);
+            }
+
+            output = `${lineBreak()}<!--${node[1]}-->`;
+            justOpened = false;
+            break;
+        case 'processinginstruction': {
+            const [, target, data] = node;
+
+            if (data.includes('?>')) {
+                throw new Error(`Invalid processing instruction: ${data}`);
+            }
+
+            output = `${lineBreak()}<?${target}${data.length === 0 ? '' : ` ${data}`}?>`;
+            justOpened = false;
+            break;
+        }
+        case 'xmldecl':
+            if (started) {
+                throw new Error('The XML declaration must be the first node');
+            }
+
+            output = serializeXMLDeclaration(node);
+            break;
+        case 'doctype':
+            output = `${lineBreak()}${serializeDoctype(node)}`;
+            justOpened = false;
+            break;
+        case 'warning':
+            break;
+        default:
+            throw new Error(`Unknown node type: ${node[0]}`);
+        }
+
+        if (output.length !== 0) {
+            started = true;
+            yield output;
+        }
+    }
+
+    if (stack.length !== 0) {
+        throw new Error(`Unclosed elements: ${stack.join(', ')}`);
+    }
+};
@@ -0,0 +1,171 @@
+const test = require('tape-async');
+const tags = require('common-tags');
+
+const {makeAsyncXMLParser, select, serialize} = require('./index');
+
+/**
+ * Serialize a list of nodes and return the XML text.
+ *
+ * @param nodes Nodes to serialize.
+ * @param options Serializer options.
+ */
+const serializeAll = async (nodes, options = {}) => {
+    let result = '';
+    for await (let chunk of serialize(nodes, options)) {
+        result += chunk;
+    }
+    return result;
+};
+
+/**
+ * Catch the error thrown while serializing a list of nodes.
+ *
+ * @param nodes Nodes to serialize.
+ * @param options Serializer options.
+ */
+const catchError = async (nodes, options = {}) => {
+    try {
+        await serializeAll(nodes, options);
+    } catch (err) {
+        return err.toString();
+    }
+    return null;
+};
+
+const document = tags.stripIndent`
+    <?xml version="1.0"?>
+    <!DOCTYPE feed SYSTEM "feed.dtd">
+    <feed xmlns="http://www.w3.org/2005/Atom">
+        <!-- entries -->
+        <entry id='1' type="a&amp;b"><title>One &amp; <b>only</b></title><link href="/1"/></entry>
+        <entry id="2"><![CDATA[<raw>]]><?pi data?></entry>
+    </feed>
+`;
+
+test('should reproduce parsed documents', async assert => {
+    for (const options of [{}, {alwaysTagClose: true}, {parseAttributes: true}]) {
+        const parser = makeAsyncXMLParser(options);
+        assert.equal(
+            await serializeAll(parser(document), options),
+            document.replace('id=\'1\'', options.parseAttributes ? 'id="1"' : 'id=\'1\''),
+            JSON.stringify(options)
+        );
+    }
+});
+
+test('should quote DOCTYPE identifiers containing double quotes', async assert => {
+    const parser = makeAsyncXMLParser();
+    for (const xml of [
+        '<!DOCTYPE a SYSTEM \'x"y.dtd\'><a/>',
+        '<!DOCTYPE a PUBLIC "-//A//\'B\'//EN" \'x"y.dtd\'><a/>'
+    ]) {
+        const serialized = await serializeAll(parser(xml));
+        assert.equal(serialized, xml);
+        assert.equal(await serializeAll(parser(serialized)), xml);
+    }
+});
+
+test('should escape decoded texts and attribute values', async assert => {
+    const options = {parseAttributes: true, decodeEntities: true};
+    const parser = makeAsyncXMLParser(options);
+    const xml = '<a x="&lt;&quot;&amp;&#10;">&lt;&amp;&gt;</a>';
+    assert.equal(await serializeAll(parser(xml), options), xml
+        .replace('&#10;', '&#xA;'));
+
+    assert.equal(await serializeAll([
+        ['tagopen', 'a', {x: 'say "hi"', y: 2}, '/']
+    ], {decodeEntities: true}), '<a x="say &quot;hi&quot;" y="2"/>');
+});
+
+test('should quote raw attribute values', async assert => {
+    assert.equal(await serializeAll([
+        ['tagopen', 'a', {x: 'say "hi" &amp; bye'}, '/']
+    ]), '<a x="say &quot;hi&quot; &amp; bye"/>');
+});
+
+test('should serialize XML declarations and processing instructions', async assert => {
+    assert.equal(await serializeAll([
+        ['xmldecl', '1.0', 'UTF-8', 'no'],
+        ['processinginstruction', 'xml-stylesheet', 'href="a.xsl"', {href: 'a.xsl'}],
+        ['processinginstruction', 'empty', '', {}]
+    ]), '<?xml version="1.0" encoding="UTF-8" standalone="no"?><?xml-stylesheet href="a.xsl"?><?empty?>');
+});
+
+test('should split CDATA sections containing their end marker', async assert => {
+    assert.equal(await serializeAll([['cdata', 'a]]>b']]), '<![CDATA[a]]]]><![CDATA[>b]]>');
+});
+
+test('should serialize selected elements', async assert => {
+    const parser = makeAsyncXMLParser();
+    assert.equal(
+        await serializeAll(select(parser(document), '//title')),
+        '<title>One &amp; <b>only</b></title>'
+    );
+});
+
+test('should pretty-print documents', async assert => {
+    const parser = makeAsyncXMLParser();
+    assert.equal(await serializeAll(parser(document), {indent: 2}), tags.stripIndent`
+        <?xml version="1.0"?>
+        <!DOCTYPE feed SYSTEM "feed.dtd">
+        <feed xmlns="http://www.w3.org/2005/Atom">
+          <!-- entries -->
+          <entry id='1' type="a&amp;b">
+            <title>One &amp; <b>only</b></title>
+            <link href="/1"/>
+          </entry>
+          <entry id="2"><![CDATA[<raw>]]><?pi data?></entry>
+        </feed>
+    `);
+
+    assert.equal(await serializeAll([
+        ['tagopen', 'a', '', ''],
+        ['tagopen', 'b', '', ''],
+        ['tagclose', 'b'],
+        ['tagclose', 'a']
+    ], {indent: '\t'}), '<a>\n\t<b></b>\n</a>');
+});
+
+test('should check that nodes are balanced', async assert => {
+    assert.equal(
+        await catchError([['tagclose', 'a']]),
+        'Error: Unexpected closing tag: a'
+    );
+    assert.equal(
+        await catchError([['tagopen', 'a', '', ''], ['tagclose', 'b']]),
+        'Error: Mismatched closing tag: b, expected a'
+    );
+    assert.equal(
+        await catchError([['tagopen', 'a', '', ''], ['tagopen', 'b', '', '']]),
+        'Error: Unclosed elements: a, b'
+    );
+    assert.equal(
+        await catchError([['tagopen', 'a', '', '/'], ['tagclose', 'b']], {alwaysTagClose: true}),
+        'Error: Mismatched closing tag: b, expected a'
+    );
+});
+
+test('should not serialize invalid nodes', async assert => {
+    assert.equal(await catchError([['comment', 'a--b']]), 'Error: Invalid comment: a--b');
+    assert.equal(await catchError([['comment', 'a-']]), 'Error: Invalid comment: a-');
+    assert.equal(
+        await catchError([['processinginstruction', 'a', 'b ?> c', null]]),
+        'Error: Invalid processing instruction: b ?> c'
+    );
+    assert.equal(
+        await catchError([['text', ' '], ['xmldecl', '1.0', '', '']]),
+        'Error: The XML declaration must be the first node'
+    );
+    assert.equal(await catchError([['other']]), 'Error: Unknown node type: other');
+});
+
+test('should reject object nodes and batches', async assert => {
+    assert.equal(
+        await catchError([{type: 'text', contents: 'a', depth: 0}]),
+        'TypeError: serialize expects array nodes, not object nodes (objects option)'
+    );
+    assert.equal(
+        await catchError([[['text', 'a']]]),
+        'TypeError: serialize expects single nodes, not batches (batch option)'
+    );
+});
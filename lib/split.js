@@ -0,0 +1,242 @@
+const checkNode = require('./checkNode');
+const {makePathMatcher} = require('./select');
+const serialize = require('./serialize');
+
+/**
+ * Split a document into standalone documents, or shards, each holding
+ * a batch of consecutive elements matching a path. Each batch is wrapped
+ * in the ancestors of its elements, with their original attributes and
+ * namespace declarations, and preceded by the XML declaration of the
+ * document if it has one. Nodes outside of the matching elements are
+ * dropped.
+ *
+ * Shards are yielded as soon as their first element is opened, as
+ * streams of XML text which read the nodes as they are consumed, so that
+ * only the nodes being serialized are held in memory. Shards must be
+ * consumed in order: requesting the next shard skips the remaining
+ * nodes of the current one, which can then no longer be read.
+ *
+ * @param {AsyncIterable} nodes Nodes yielded by a parser, which must
+ * include tagopen and tagclose nodes.
+ * @param {string|string[]} path Path of the elements to group (see select),
+ * or a list of such paths.
+ * @param {Object} [options]
+ * @param {number} options.size - Maximum number of elements in each shard (1000).
+ * @param {boolean} options.alwaysTagClose - Whether the nodes were yielded
+ * by a parser with the alwaysTagClose option set.
+ * @param {boolean} options.decodeEntities - Whether the texts and attribute
+ * values of the nodes have their entities decoded, and should be escaped.
+ * @throws {Error} If the path or the size is not valid.
+ * @throws {TypeError} If the nodes are object nodes or batches.
+ * @yields {AsyncIterable<string>} Chunks of XML text of each shard.
+ */
+module.exports = async function* split(nodes, path, options = {}) {
+    const optSize = options.size === undefined ? 1000 : options.size;
+    const optAlwaysTagClose = options.alwaysTagClose;
+
+    if (!Number.isInteger(optSize) || optSize < 1) {
+        throw new Error(`Invalid shard size: ${optSize}`);
+    }
+
+    const matcher = makePathMatcher(path);
+    const iterator = nodes[Symbol.asyncIterator]();
+    const serializeOptions = {
+        alwaysTagClose: optAlwaysTagClose,
+        decodeEntities: options.decodeEntities
+    };
+
+    // Opened elements outside of the matching elements, outermost first,
+    // followed by the matching element being read, if any
+    const ancestors = [];
+
+    // Depth of the matching element being read, or -1 if none
+    let matchDepth = -1;
+
+    // XML declaration of the document, if any
+    let declaration = null;
+
+    // Number of matching elements opened in the current shard
+    let matches = 0;
+
+    // Number of the shard being read, or 0 if none
+    let currentShard = 0;
+    let shardCount = 0;
+
+    // Whether all the nodes were read
+    let done = false;
+
+    /**
+     * Close the current element.
+     *
+     * @return {boolean} Whether the closed element is a matching element.
+     */
+    const leave = () => {
+        matcher.leave();
+
+        if (matchDepth === -1) {
+            ancestors.pop();
+            return false;
+        }
+
+        if (matchDepth === matcher.depth) {
+            ancestors.pop();
+            matchDepth = -1;
+            return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * Read the next node and follow the opened elements.
+     *
+     * @return {Promise<Object|null>} The node, with whether it opens or
+     * closes a matching element and the ancestors of an opened matching
+     * element, or null if all the nodes were read.
+     */
+    const read = async () => {
+        if (done) {
+            return null;
+        }
+
+        const result = await iterator.next();
+
+        if (result.done) {
+            done = true;
+            return null;
+        }
+
+        const node = result.value;
+        checkNode(node, 'split');
+        const step = {node, opens: false, closes: false, ancestors: null};
+
+        switch (node[0]) {
+        case 'xmldecl':
+            declaration = node;
+            break;
+        case 'tagopen':
+            if (matchDepth === -1) {
+                if (matcher.enter(node, true)) {
+                    matchDepth = ancestors.length;
+                    matches += 1;
+                    step.opens = true;
+                    step.ancestors = ancestors.slice();
+                }
+
+                ancestors.push(node);
+            } else {
+                matcher.enter(node, false);
+            }
+
+            // Self-closing tags are closed right away unless
+            // followed by a tagclose node
+            if (node[3] === '/' && !optAlwaysTagClose) {
+                step.closes = leave();
+            }
+
+            break;
+        case 'tagclose':
+            step.closes = leave();
+            break;
+        }
+
+        return step;
+    };
+
+    /**
+     * Check whether the last element of the current shard was closed.
+     *
+     * @return {boolean}
+     */
+    const isShardComplete = () => matches === optSize && matchDepth === -1;
+
+    /**
+     * Read the nodes of a shard.
+     *
+     * @param {number} shard Number of the shard.
+     * @param {Object} first The tagopen node of the first matching element
+     * of the shard, as returned by read.
+     * @yields The nodes of the shard.
+     */
+    async function* shardNodes(shard, first) {
+        if (currentShard !== shard) {
+            throw new Error('Cannot read a skipped shard');
+        }
+
+        if (declaration !== null) {
+            yield declaration;
+        }
+
+        // Ancestors whose tags were opened in the shard
+        let wrappers = [];
+        let step = first;
+
+        while (step !== null) {
+            if (step.opens) {
+                let common = 0;
+
+                while (common < wrappers.length && common < step.ancestors.length
+                        && wrappers[common] === step.ancestors[common]) {
+                    ++common;
+                }
+
+                for (let i = wrappers.length - 1; i >= common; --i) {
+                    yield ['tagclose', wrappers[i][1]];
+                }
+
+                for (let i = common; i < step.ancestors.length; ++i) {
+                    yield step.ancestors[i];
+                }
+
+                wrappers = step.ancestors;
+            }
+
+            if (matchDepth !== -1 || step.closes) {
+                yield step.node;
+            }
+
+            if (isShardComplete() || currentShard !== shard) {
+                break;
+            }
+
+            step = await read();
+        }
+
+        if (currentShard !== shard) {
+            throw new Error('Cannot read a skipped shard');
+        }
+
+        for (let i = wrappers.length - 1; i >= 0; --i) {
+            yield ['tagclose', wrappers[i][1]];
+        }
+    }
+
+    try {
+        for (;;) {
+            let step = await read();
+
+            while (step !== null && !step.opens) {
+                step = await read();
+            }
+
+            if (step === null) {
+                return;
+            }
+
+            matches = 1;
+            currentShard = ++shardCount;
+            yield serialize(shardNodes(currentShard, step), serializeOptions);
+
+            // Skip the nodes of the shard that were not consumed
+            while (!isShardComplete() && await read() !== null) {
+                // Ignore nodes
+            }
+
+            currentShard = 0;
+        }
+    } finally {
+        if (!done && typeof iterator.return === 'function') {
+            await iterator.return();
+        }
+    }
+};
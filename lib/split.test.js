@@ -0,0 +1,189 @@
+const test = require('tape-async');
+const tags = require('common-tags');
+
+const {makeAsyncXMLParser, split} = require('./index');
+
+const dump = tags.stripIndent`
+    <?xml version="1.0" encoding="UTF-8"?>
+    <dump xmlns="urn:dump" xmlns:x="urn:x" version="2">
+        <!-- records -->
+        <records kind="a">
+            <record id="1"><x:name>One</x:name></record>
+            <record id="2"/>
+            <record id="3">Three &amp; <b>bold</b></record>
+        </records>
+        <records kind="b">
+            <record id="4"/>
+            <other/>
+            <record id="5"><record id="5.1"/></record>
+        </records>
+    </dump>
+`;
+
+/**
+ * Split an XML text and return the text of each shard.
+ *
+ * @param xml XML text.
+ * @param path Path of the grouped elements.
+ * @param options Parser and splitter options.
+ */
+const splitAll = async (xml, path, options = {}) => {
+    const shards = [];
+    const parser = makeAsyncXMLParser(options);
+    for await (let shard of split(parser(xml), path, options)) {
+        let text = '';
+        for await (let chunk of shard) {
+            text += chunk;
+        }
+        shards.push(text);
+    }
+    return shards;
+};
+
+/**
+ * Make an async iterable of nodes recording whether it was closed.
+ *
+ * @param nodes Nodes to yield.
+ */
+const trackedNodes = nodes => {
+    const source = {
+        closed: false,
+        async* [Symbol.asyncIterator]() {
+            try {
+                yield* nodes;
+            } finally {
+                source.closed = true;
+            }
+        }
+    };
+    return source;
+};
+
+test('should group elements into shards', async assert => {
+    const declaration = '<?xml version="1.0" encoding="UTF-8"?>';
+    const dumpTag = '<dump xmlns="urn:dump" xmlns:x="urn:x" version="2">';
+
+    assert.deepEqual(await splitAll(dump, '/dump/records/record', {size: 2}), [
+        declaration + dumpTag + '<records kind="a">'
+            + '<record id="1"><x:name>One</x:name></record><record id="2"/>'
+            + '</records></dump>',
+        declaration + dumpTag + '<records kind="a">'
+            + '<record id="3">Three &amp; <b>bold</b></record>'
+            + '</records><records kind="b"><record id="4"/>'
+            + '</records></dump>',
+        declaration + dumpTag + '<records kind="b">'
+            + '<record id="5"><record id="5.1"/></record>'
+            + '</records></dump>'
+    ]);
+
+    assert.deepEqual(await splitAll(dump, '//records', {size: 1}), [
+        declaration + dumpTag + dump.slice(dump.indexOf('<records kind="a">'), dump.indexOf('\n    <records kind="b">')) + '</dump>',
+        declaration + dumpTag + dump.slice(dump.indexOf('<records kind="b">'), dump.indexOf('\n</dump>')) + '</dump>'
+    ]);
+});
+
+test('should default to shards of 1000 elements', async assert => {
+    const records = '<r/>'.repeat(2500);
+    const shards = await splitAll(`<root>${records}</root>`, '/root/r');
+    assert.deepEqual(shards.map(shard => shard.length), [
+        '<root></root>'.length + 4000,
+        '<root></root>'.length + 4000,
+        '<root></root>'.length + 2000
+    ]);
+});
+
+test('should split documents without declaration', async assert => {
+    assert.deepEqual(await splitAll('<a><b/><b/><b/></a>', '//b', {size: 2}), [
+        '<a><b/><b/></a>',
+        '<a><b/></a>'
+    ]);
+    assert.deepEqual(await splitAll('<a/>', '//b'), []);
+    assert.deepEqual(await splitAll('<b>x</b>', '/b'), ['<b>x</b>']);
+});
+
+test('should split nodes with parsed attributes and decoded entities', async assert => {
+    const options = {alwaysTagClose: true, parseAttributes: true, decodeEntities: true, size: 1};
+    assert.deepEqual(await splitAll('<a x=\'&lt;\'><b>&amp;</b><b/></a>', '/a/b', options), [
+        '<a x="&lt;"><b>&amp;</b></a>',
+        '<a x="&lt;"><b/></a>'
+    ]);
+});
+
+test('should skip the unread nodes of shards', async assert => {
+    const parser = makeAsyncXMLParser();
+    const shards = split(parser('<a><b>1</b><b>2</b><b>3</b></a>'), '//b', {size: 1});
+
+    const first = (await shards.next()).value;
+    assert.equal((await first.next()).value, '<a>');
+
+    const second = (await shards.next()).value;
+    let text = '';
+    for await (let chunk of second) {
+        text += chunk;
+    }
+    assert.equal(text, '<a><b>2</b></a>');
+
+    try {
+        await first.next();
+        assert.fail('should throw');
+    } catch (err) {
+        assert.equal(err.toString(), 'Error: Cannot read a skipped shard');
+    }
+
+    await shards.next();
+    assert.deepEqual(await shards.next(), {value: undefined, done: true});
+});
+
+test('should close the nodes when stopped early', async assert => {
+    const source = trackedNodes([
+        ['tagopen', 'a', '', ''],
+        ['tagopen', 'b', '', '/'],
+        ['tagopen', 'b', '', '/'],
+        ['tagclose', 'a']
+    ]);
+
+    let text = '';
+    for await (let shard of split(source, '//b', {size: 1})) {
+        for await (let chunk of shard) {
+            text += chunk;
+        }
+        break;
+    }
+
+    assert.equal(text, '<a><b/></a>');
+
+    assert.true(source.closed);
+});
+
+test('should reject invalid arguments', async assert => {
+    for (const [path, size, message] of [
+        ['a[', 1, 'Error: Invalid path: a['],
+        ['//a', 0, 'Error: Invalid shard size: 0'],
+        ['//a', 1.5, 'Error: Invalid shard size: 1.5']
+    ]) {
+        try {
+            await splitAll('<a/>', path, {size});
+            assert.fail('should throw');
+        } catch (err) {
+            assert.equal(err.toString(), message);
+        }
+    }
+});
+
+test('should forward parse errors', async assert => {
+    try {
+        await splitAll('<a><b></c></a>', '//b');
+        assert.fail('should throw');
+    } catch (err) {
+        assert.equal(err.name, 'XMLParseError');
+    }
+});
+
+test('should reject batches', async assert => {
+    try {
+        await splitAll(dump, '//record', {batch: true});
+        assert.fail('should throw');
+    } catch (err) {
+        assert.equal(err.toString(), 'TypeError: split expects single nodes, not batches (batch option)');
+    }
+});
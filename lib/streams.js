@@ -0,0 +1,252 @@
+const {Duplex} = require('stream');
+
+const makeAsyncXMLParser = require('./Saxophone');
+
+/**
+ * Create a channel through which chunks written by a stream are
+ * iterated by the parser. Each write resolves once the parser asks
+ * for the next chunk, that is once all the nodes of the written chunk
+ * have been consumed, which propagates backpressure to the writer.
+ *
+ * @private
+ * @return {Object} The channel, with a `chunks` async iterator and
+ * `write(chunk)`, `end()` and `fail(err)` methods.
+ */
+function makeChunkChannel() {
+    // Chunks waiting to be iterated, with functions to settle their writes
+    const queue = [];
+
+    // Chunk being parsed, whose write is settled when the parser
+    // asks for the next chunk or fails
+    let current = null;
+    let ended = false;
+    let failure = null;
+
+    // Wakes up the iterator when it waits for a chunk
+    let wakeUp = null;
+
+    let finish;
+    const finished = new Promise(resolve => {
+        finish = resolve;
+    });
+
+    function notify() {
+        if (wakeUp !== null) {
+            const resolve = wakeUp;
+            wakeUp = null;
+            resolve();
+        }
+    }
+
+    async function* chunks() {
+        try {
+            for (;;) {
+                if (failure !== null) {
+                    throw failure;
+                }
+
+                if (queue.length === 0) {
+                    if (ended) {
+                        return;
+                    }
+
+                    await new Promise(resolve => {
+                        wakeUp = resolve;
+                    });
+                    continue;
+                }
+
+                current = queue.shift();
+                yield current.chunk;
+                current.resolve();
+                current = null;
+            }
+        } finally {
+            finish();
+        }
+    }
+
+    return {
+        chunks: chunks(),
+
+        /**
+         * Write a chunk to the channel.
+         *
+         * @param chunk Chunk of the XML document.
+         * @return {Promise} Resolved once the chunk has been consumed.
+         */
+        write(chunk) {
+            if (failure !== null) {
+                return Promise.reject(failure);
+            }
+
+            return new Promise((resolve, reject) => {
+                queue.push({chunk, resolve, reject});
+                notify();
+            });
+        },
+
+        /**
+         * Signal that no more chunks will be written.
+         *
+         * @return {Promise} Resolved once the parser stopped iterating chunks.
+         */
+        end() {
+            ended = true;
+            notify();
+            return finished;
+        },
+
+        /**
+         * Stop the channel because of an error, which is thrown
+         * to the parser and rejects pending writes.
+         *
+         * @param {Error} err The error.
+         */
+        fail(err) {
+            failure = err;
+
+            if (current !== null) {
+                queue.unshift(current);
+                current = null;
+            }
+
+            for (const {reject} of queue.splice(0)) {
+                reject(err);
+            }
+
+            notify();
+        }
+    };
+}
+
+/**
+ * Create a Node.js duplex stream that parses the XML document written
+ * to it (as strings or buffers) and reads the nodes encountered, in
+ * object mode. Writes complete only once their nodes have been read.
+ *
+ * @param {Object} options Parser options, see makeAsyncXMLParser.
+ * @return {Duplex}
+ */
+module.exports.makeXMLParserStream = function makeXMLParserStream(options) {
+    const channel = makeChunkChannel();
+    const nodes = makeAsyncXMLParser(options)(channel.chunks);
+
+    // Whether nodes are currently being read from the parser
+    let reading = false;
+
+    async function readNodes() {
+        reading = true;
+
+        try {
+            for (;;) {
+                const {value, done} = await nodes.next();
+
+                if (done) {
+                    stream.push(null);
+                    break;
+                }
+
+                if (!stream.push(value)) {
+                    break;
+                }
+            }
+        } catch (err) {
+            // Destroying the stream fails the parser, which must not
+            // destroy the stream again
+            if (!stream.destroyed) {
+                stream.destroy(err);
+            }
+        }
+
+        reading = false;
+    }
+
+    const stream = new Duplex({
+        readableObjectMode: true,
+        decodeStrings: false,
+
+        write(chunk, encoding, callback) {
+            channel.write(chunk).then(
+                () => callback(),
+                err => stream.destroyed || callback(err)
+            );
+        },
+
+        final(callback) {
+            channel.end().then(() => callback());
+        },
+
+        read() {
+            if (!reading) {
+                readNodes();
+            }
+        },
+
+        destroy(err, callback) {
+            channel.fail(err || new Error('Stream was destroyed'));
+            nodes.return().then(() => callback(err), callback);
+        }
+    });
+
+    return stream;
+};
+
+/**
+ * Create a pair of WHATWG streams that parses the XML document written
+ * to the writable stream (as strings or binary chunks) and reads the
+ * nodes encountered from the readable stream. The pair may be passed
+ * to `ReadableStream.pipeThrough()` like a `TransformStream`.
+ *
+ * @param {Object} options Parser options, see makeAsyncXMLParser.
+ * @throws {Error} If web streams are not available.
+ * @return {{readable: ReadableStream, writable: WritableStream}}
+ */
+module.exports.makeXMLParserWebStream = function makeXMLParserWebStream(options) {
+    const {ReadableStream, WritableStream} = global.ReadableStream === undefined
+        ? require('stream/web')
+        : global;
+
+    const channel = makeChunkChannel();
+    const nodes = makeAsyncXMLParser(options)(channel.chunks);
+
+    const readable = new ReadableStream({
+        async pull(controller) {
+            let result;
+
+            try {
+                result = await nodes.next();
+            } catch (err) {
+                channel.fail(err);
+                throw err;
+            }
+
+            if (result.done) {
+                controller.close();
+            } else {
+                controller.enqueue(result.value);
+            }
+        },
+
+        cancel(reason) {
+            channel.fail(reason || new Error('Stream was cancelled'));
+            return nodes.return();
+        }
+    });
+
+    const writable = new WritableStream({
+        write(chunk) {
+            return channel.write(chunk);
+        },
+
+        close() {
+            return channel.end();
+        },
+
+        abort(reason) {
+            channel.fail(reason || new Error('Stream was aborted'));
+        }
+    });
+
+    return {readable, writable};
+};
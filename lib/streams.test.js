@@ -0,0 +1,193 @@
+const {pipeline, Readable, Writable} = require('stream');
+const test = require('tape-async');
+
+const {makeXMLParserStream, makeXMLParserWebStream} = require('./index');
+
+const delay = ms => new Promise(_ => setTimeout(_, ms));
+
+const webStreamsAvailable = (() => {
+    try {
+        makeXMLParserWebStream();
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+
+/**
+ * Create a readable stream of the given chunks.
+ *
+ * @param chunks Chunks to be read.
+ */
+const readableOf = chunks => {
+    let index = 0;
+    return new Readable({
+        read() {
+            this.push(index < chunks.length ? chunks[index++] : null);
+        }
+    });
+};
+
+/**
+ * Create a writable stream in object mode collecting the written objects.
+ *
+ * @param results Array to collect into.
+ */
+const collector = results => new Writable({
+    objectMode: true,
+    write(node, encoding, callback) {
+        results.push(node);
+        callback();
+    }
+});
+
+test('should parse a stream piped through the parser stream', assert => {
+    const results = [];
+    pipeline(
+        readableOf([Buffer.from('<root><a x="1"'), '/>text</root>']),
+        makeXMLParserStream({parseAttributes: true}),
+        collector(results),
+        err => {
+            assert.error(err);
+            assert.deepEqual(results, [
+                ['tagopen', 'root', {}, ''],
+                ['tagopen', 'a', {x: '1'}, '/'],
+                ['text', 'text'],
+                ['tagclose', 'root']
+            ]);
+            assert.end();
+        }
+    );
+});
+
+test('should propagate parse errors through a pipeline', assert => {
+    const results = [];
+    pipeline(
+        readableOf(['<root><a>', '</b></root>']),
+        makeXMLParserStream(),
+        collector(results),
+        err => {
+            assert.equal(err && err.code, 'TAG_MISMATCH');
+            assert.deepEqual(results, [
+                ['tagopen', 'root', '', ''],
+                ['tagopen', 'a', '', '']
+            ]);
+            assert.end();
+        }
+    );
+});
+
+test('should not complete writes until their nodes are read', async assert => {
+    const stream = makeXMLParserStream();
+    let written = false;
+
+    stream.write('<root>', () => {
+        written = true;
+    });
+    await delay(50);
+    assert.notOk(written, 'write should wait for nodes to be read');
+
+    stream.read();
+    await delay(50);
+    assert.ok(written, 'write should complete once nodes are read');
+    assert.deepEqual(stream.read(), ['tagopen', 'root', '', '']);
+    stream.destroy();
+});
+
+test('should stop parsing when destroyed', assert => {
+    const stream = makeXMLParserStream();
+    stream.on('close', () => {
+        assert.ok(stream.destroyed);
+        assert.end();
+    });
+    stream.on('error', err => {
+        assert.fail(err);
+    });
+    stream.write('<root><a>');
+    stream.once('data', () => {
+        stream.destroy();
+    });
+});
+
+test('should emit the error a stream is destroyed with', assert => {
+    const stream = makeXMLParserStream();
+    stream.on('error', err => {
+        assert.equal(err.message, 'stop');
+        assert.end();
+    });
+    stream.write('<root>');
+    stream.resume();
+    stream.destroy(new Error('stop'));
+});
+
+test('should parse through web streams', {skip: !webStreamsAvailable}, async assert => {
+    const {ReadableStream} = global.ReadableStream === undefined
+        ? require('stream/web')
+        : global;
+    const chunks = [new TextEncoder().encode('<root>caf'), 'é</root>'];
+    const source = new ReadableStream({
+        pull(controller) {
+            if (chunks.length === 0) {
+                controller.close();
+            } else {
+                controller.enqueue(chunks.shift());
+            }
+        }
+    });
+
+    const results = [];
+    const reader = source.pipeThrough(makeXMLParserWebStream()).getReader();
+    for (;;) {
+        const {value, done} = await reader.read();
+        if (done) {
+            break;
+        }
+        results.push(value);
+    }
+
+    assert.deepEqual(results, [
+        ['tagopen', 'root', '', ''],
+        ['text', 'café'],
+        ['tagclose', 'root']
+    ]);
+});
+
+test('should error web streams on parse errors', {skip: !webStreamsAvailable}, async assert => {
+    const {readable, writable} = makeXMLParserWebStream();
+    const writer = writable.getWriter();
+    const reader = readable.getReader();
+
+    const write = writer.write('<root></other>');
+    assert.deepEqual(await reader.read(), {value: ['tagopen', 'root', '', ''], done: false});
+
+    try {
+        await reader.read();
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.code, 'TAG_MISMATCH');
+    }
+
+    try {
+        await write;
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.code, 'TAG_MISMATCH');
+    }
+});
+
+test('should abort web streams', {skip: !webStreamsAvailable}, async assert => {
+    const {readable, writable} = makeXMLParserWebStream();
+    const writer = writable.getWriter();
+    const reader = readable.getReader();
+
+    writer.write('<root>');
+    assert.deepEqual(await reader.read(), {value: ['tagopen', 'root', '', ''], done: false});
+    await writer.abort(new Error('stop'));
+
+    try {
+        await reader.read();
+        assert.fail('should have thrown');
+    } catch (err) {
+        assert.equal(err.message, 'stop');
+    }
+});